@@ -0,0 +1,26 @@
+// Patterns checked after an entry is created or updated. Scores are the
+// valence-weighted intensities from utils/lowPeriods.js (-10 to 10).
+// Override any rule's settings with LOW_MOOD_RULES, a JSON object keyed by
+// rule id, e.g. {"consecutive-low-days":{"days":5},"baseline-drop":{"enabled":false}}.
+
+export const DEFAULT_LOW_MOOD_RULES = {
+  "consecutive-low-days": {
+    enabled: true,
+    // Consecutive logged days with a day score at or below `threshold`.
+    days: 3,
+    threshold: -3,
+  },
+  "baseline-drop": {
+    enabled: true,
+    // Average of the last `recentDays` logged days is at least `drop` below
+    // the average of the `baselineDays` before them.
+    recentDays: 3,
+    minRecentDays: 2,
+    baselineDays: 28,
+    minBaselineDays: 7,
+    drop: 4,
+  },
+};
+
+// Once a rule fires it stays quiet for this many days.
+export const LOW_MOOD_COOLDOWN_DAYS = 3;
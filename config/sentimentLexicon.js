@@ -0,0 +1,212 @@
+// Word lists for utils/sentiment.js. Valences run from -5 (very negative) to
+// 5 (very positive), in the spirit of AFINN but trimmed to words that turn up
+// in personal journals. Bump SENTIMENT_VERSION after editing anything here so
+// the backfill job re-scores existing entries.
+
+export const SENTIMENT_VERSION = 1;
+
+export const VALENCE = {
+  // Positive
+  amazing: 4,
+  awesome: 4,
+  beautiful: 3,
+  better: 2,
+  blessed: 3,
+  brilliant: 4,
+  calm: 2,
+  celebrate: 3,
+  celebrated: 3,
+  cheerful: 3,
+  comfortable: 2,
+  confident: 2,
+  content: 2,
+  delighted: 3,
+  enjoy: 2,
+  enjoyed: 2,
+  excited: 3,
+  exciting: 3,
+  fantastic: 4,
+  fine: 1,
+  fun: 3,
+  glad: 3,
+  good: 3,
+  grateful: 3,
+  great: 3,
+  happy: 3,
+  helpful: 2,
+  hope: 2,
+  hopeful: 2,
+  improved: 2,
+  inspired: 3,
+  joy: 3,
+  laugh: 2,
+  laughed: 2,
+  love: 3,
+  loved: 3,
+  lovely: 3,
+  lucky: 3,
+  motivated: 2,
+  nice: 3,
+  optimistic: 2,
+  peaceful: 2,
+  pleasant: 3,
+  productive: 2,
+  proud: 2,
+  refreshed: 2,
+  relaxed: 2,
+  relieved: 2,
+  rested: 2,
+  safe: 1,
+  satisfied: 2,
+  smile: 2,
+  smiled: 2,
+  strong: 2,
+  succeeded: 3,
+  success: 2,
+  supported: 2,
+  thankful: 2,
+  wonderful: 4,
+  // Negative
+  afraid: -2,
+  alone: -2,
+  angry: -3,
+  annoyed: -2,
+  anxious: -2,
+  ashamed: -2,
+  awful: -3,
+  bad: -3,
+  bored: -2,
+  broken: -2,
+  cried: -2,
+  cry: -1,
+  crying: -2,
+  depressed: -3,
+  desperate: -3,
+  disappointed: -2,
+  down: -1,
+  drained: -2,
+  dread: -2,
+  empty: -2,
+  exhausted: -2,
+  failed: -2,
+  failure: -2,
+  frustrated: -2,
+  furious: -3,
+  guilty: -2,
+  hate: -3,
+  hated: -3,
+  hopeless: -2,
+  horrible: -3,
+  hurt: -2,
+  irritated: -2,
+  isolated: -2,
+  lonely: -2,
+  lost: -2,
+  miserable: -3,
+  nervous: -2,
+  numb: -2,
+  overwhelmed: -2,
+  pain: -2,
+  panic: -3,
+  rough: -2,
+  sad: -2,
+  scared: -2,
+  sick: -2,
+  stress: -1,
+  stressed: -2,
+  struggle: -2,
+  struggling: -2,
+  terrible: -3,
+  tired: -2,
+  unhappy: -2,
+  upset: -2,
+  useless: -2,
+  worried: -2,
+  worry: -2,
+  worse: -3,
+  worst: -3,
+  worthless: -2,
+};
+
+// A word counts towards every emotion whose list contains it.
+export const EMOTIONS = {
+  joy: [
+    "amazing",
+    "awesome",
+    "cheerful",
+    "delighted",
+    "excited",
+    "fun",
+    "glad",
+    "happy",
+    "joy",
+    "laugh",
+    "laughed",
+    "smile",
+    "smiled",
+    "wonderful",
+  ],
+  gratitude: ["blessed", "grateful", "lucky", "thankful", "supported"],
+  calm: ["calm", "peaceful", "relaxed", "relieved", "rested", "refreshed"],
+  sadness: [
+    "cried",
+    "cry",
+    "crying",
+    "depressed",
+    "down",
+    "empty",
+    "hopeless",
+    "miserable",
+    "sad",
+    "unhappy",
+  ],
+  anger: ["angry", "annoyed", "frustrated", "furious", "hate", "irritated"],
+  fear: [
+    "afraid",
+    "anxious",
+    "dread",
+    "nervous",
+    "panic",
+    "scared",
+    "worried",
+    "worry",
+  ],
+  stress: ["overwhelmed", "stress", "stressed", "struggle", "struggling"],
+  loneliness: ["alone", "isolated", "lonely"],
+  fatigue: ["drained", "exhausted", "tired"],
+};
+
+// Flip and dampen the sentiment of the next few words in the same clause.
+export const NEGATORS = [
+  "not",
+  "no",
+  "never",
+  "nothing",
+  "without",
+  "hardly",
+  "dont",
+  "didnt",
+  "doesnt",
+  "isnt",
+  "wasnt",
+  "arent",
+  "werent",
+  "cant",
+  "couldnt",
+  "wont",
+  "wouldnt",
+];
+
+// Multiply the sentiment of the next word.
+export const INTENSIFIERS = {
+  extremely: 1.5,
+  incredibly: 1.5,
+  really: 1.3,
+  so: 1.3,
+  super: 1.3,
+  totally: 1.3,
+  very: 1.3,
+  slightly: 0.5,
+  somewhat: 0.6,
+  kinda: 0.7,
+};
@@ -0,0 +1,156 @@
+// Helplines surfaced when a low-mood pattern is detected. Keyed by ISO 3166
+// country code; anything not listed falls back to INTERNATIONAL_RESOURCES.
+// Keep numbers in sync with the services' own sites before each release.
+
+export const INTERNATIONAL_RESOURCES = {
+  emergency: null,
+  helplines: [
+    {
+      name: "Find A Helpline",
+      description: "Free, confidential support lines in 130+ countries",
+      url: "https://findahelpline.com",
+    },
+  ],
+};
+
+export const SUPPORT_RESOURCES = {
+  US: {
+    emergency: "911",
+    helplines: [
+      {
+        name: "988 Suicide & Crisis Lifeline",
+        phone: "988",
+        sms: "988",
+        url: "https://988lifeline.org",
+      },
+      {
+        name: "Crisis Text Line",
+        sms: "741741",
+        description: "Text HOME to 741741",
+        url: "https://www.crisistextline.org",
+      },
+    ],
+  },
+  CA: {
+    emergency: "911",
+    helplines: [
+      {
+        name: "9-8-8 Suicide Crisis Helpline",
+        phone: "988",
+        sms: "988",
+        url: "https://988.ca",
+      },
+    ],
+  },
+  GB: {
+    emergency: "999",
+    helplines: [
+      {
+        name: "Samaritans",
+        phone: "116 123",
+        url: "https://www.samaritans.org",
+      },
+      {
+        name: "Shout",
+        sms: "85258",
+        description: "Text SHOUT to 85258",
+        url: "https://giveusashout.org",
+      },
+    ],
+  },
+  IE: {
+    emergency: "112",
+    helplines: [
+      {
+        name: "Samaritans Ireland",
+        phone: "116 123",
+        url: "https://www.samaritans.org/ireland",
+      },
+    ],
+  },
+  AU: {
+    emergency: "000",
+    helplines: [
+      {
+        name: "Lifeline Australia",
+        phone: "13 11 14",
+        url: "https://www.lifeline.org.au",
+      },
+      {
+        name: "Beyond Blue",
+        phone: "1300 22 4636",
+        url: "https://www.beyondblue.org.au",
+      },
+    ],
+  },
+  NZ: {
+    emergency: "111",
+    helplines: [
+      {
+        name: "Need to talk?",
+        phone: "1737",
+        sms: "1737",
+        url: "https://1737.org.nz",
+      },
+    ],
+  },
+  DE: {
+    emergency: "112",
+    helplines: [
+      {
+        name: "TelefonSeelsorge",
+        phone: "0800 111 0 111",
+        url: "https://www.telefonseelsorge.de",
+      },
+    ],
+  },
+  FR: {
+    emergency: "112",
+    helplines: [
+      {
+        name: "3114 Numéro national de prévention du suicide",
+        phone: "3114",
+        url: "https://3114.fr",
+      },
+    ],
+  },
+  IN: {
+    emergency: "112",
+    helplines: [
+      {
+        name: "Tele MANAS",
+        phone: "14416",
+        url: "https://telemanas.mohfw.gov.in",
+      },
+    ],
+  },
+};
+
+// Best guess at a country from the timezone, for users who haven't set
+// settings.region. Zones shared by several countries are left out.
+export const TIMEZONE_REGIONS = {
+  "Europe/London": "GB",
+  "Europe/Dublin": "IE",
+  "Europe/Berlin": "DE",
+  "Europe/Paris": "FR",
+  "Asia/Kolkata": "IN",
+  "Asia/Calcutta": "IN",
+  "Pacific/Auckland": "NZ",
+  "Australia/Sydney": "AU",
+  "Australia/Melbourne": "AU",
+  "Australia/Brisbane": "AU",
+  "Australia/Perth": "AU",
+  "Australia/Adelaide": "AU",
+  "America/New_York": "US",
+  "America/Chicago": "US",
+  "America/Denver": "US",
+  "America/Los_Angeles": "US",
+  "America/Phoenix": "US",
+  "America/Anchorage": "US",
+  "Pacific/Honolulu": "US",
+  "America/Toronto": "CA",
+  "America/Vancouver": "CA",
+  "America/Edmonton": "CA",
+  "America/Winnipeg": "CA",
+  "America/Halifax": "CA",
+};
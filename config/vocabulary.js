@@ -0,0 +1,45 @@
+// Built-in moods and activities every user starts with. Users can add their
+// own on top (see models/CustomMood.js and models/CustomActivity.js).
+// Valence runs from -5 (very unpleasant) to 5 (very pleasant).
+
+export const DEFAULT_MOODS = [
+  { name: "excited", valence: 4, color: "#ff9800", emoji: "🤩" },
+  { name: "happy", valence: 3, color: "#4caf50", emoji: "😊" },
+  { name: "neutral", valence: 0, color: "#9e9e9e", emoji: "😐" },
+  { name: "sad", valence: -3, color: "#2196f3", emoji: "😢" },
+  { name: "anxious", valence: -3, color: "#9c27b0", emoji: "😰" },
+  { name: "angry", valence: -4, color: "#f44336", emoji: "😠" },
+  { name: "tired", valence: -1, color: "#795548", emoji: "😴" },
+];
+
+export const ACTIVITY_CATEGORIES = [
+  "physical",
+  "social",
+  "productivity",
+  "leisure",
+  "self-care",
+  "chores",
+  "other",
+];
+
+export const DEFAULT_ACTIVITIES = [
+  { name: "exercise", category: "physical" },
+  { name: "work", category: "productivity" },
+  { name: "social", category: "social" },
+  { name: "family", category: "social" },
+  { name: "hobby", category: "leisure" },
+  { name: "rest", category: "self-care" },
+  { name: "learning", category: "productivity" },
+  { name: "nature", category: "leisure" },
+  { name: "shopping", category: "chores" },
+  { name: "cleaning", category: "chores" },
+  { name: "cooking", category: "chores" },
+  { name: "travel", category: "leisure" },
+  { name: "entertainment", category: "leisure" },
+  { name: "self-care", category: "self-care" },
+];
+
+export const DEFAULT_MOOD_NAMES = DEFAULT_MOODS.map((mood) => mood.name);
+export const DEFAULT_ACTIVITY_NAMES = DEFAULT_ACTIVITIES.map(
+  (activity) => activity.name
+);
@@ -0,0 +1,333 @@
+import { validationResult } from "express-validator";
+import User from "../models/User.js";
+import MoodEntry from "../models/MoodEntry.js";
+import Session from "../models/Session.js";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  isActive: user.isActive,
+  streak: user.streak,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+const findTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Support staff handle everyday account issues, so they can only switch
+// regular users on and off; staff accounts are left to admins.
+const canManageAccount = (actor, target) => {
+  return actor.role === "admin" || target.role === "user";
+};
+
+const rejectStaffTarget = (res) => {
+  res.status(403).json({
+    success: false,
+    message: "Only admins can change the status of staff accounts",
+  });
+};
+
+export const getUsers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { search, role, isActive } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: users.map(toAdminUser),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const entryCount = await MoodEntry.countDocuments({ user: user._id });
+    const sessionCount = await Session.countDocuments({ user: user._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toAdminUser(user),
+        entryCount,
+        sessionCount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getUserEntries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { user: req.params.id };
+
+    let entriesQuery = MoodEntry.find(query)
+      .sort({ date: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    // Support staff can troubleshoot entries but never see what users wrote.
+    if (req.user.role !== "admin") {
+      entriesQuery = entriesQuery.select(
+        "-journalEntry -encrypted.journalEntry"
+      );
+    }
+
+    const entries = await MoodEntry.decryptEntries(await entriesQuery);
+    const total = await MoodEntry.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deactivateUser = async (req, res, next) => {
+  try {
+    if (req.params.id === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own account from the admin API",
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+    if (!canManageAccount(req.user, user)) return rejectStaffTarget(res);
+
+    user.isActive = false;
+    await user.save({ validateBeforeSave: false });
+    await Session.revokeAllForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "User deactivated successfully",
+      data: toAdminUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const reactivateUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+    if (!canManageAccount(req.user, user)) return rejectStaffTarget(res);
+
+    user.isActive = true;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "User reactivated successfully",
+      data: toAdminUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetUserStreak = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // Streaks are derived from entries, so a reset means rebuilding the
+    // cached values from the user's history.
+    await user.recalculateStreak();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "User streak recalculated from entry history",
+      data: toAdminUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    if (req.params.id === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.role = req.body.role;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "User role updated successfully",
+      data: toAdminUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSystemStats = async (req, res, next) => {
+  try {
+    const now = Date.now();
+    const sevenDaysAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
+    const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
+
+    const [
+      totalUsers,
+      activeUsers,
+      verifiedUsers,
+      twoFactorUsers,
+      newUsersLast30Days,
+      activeLast7Days,
+      roleCounts,
+      totalEntries,
+      entriesLast7Days,
+      entriesLast30Days,
+      moodDistribution,
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({ emailVerified: true }),
+      User.countDocuments({ "twoFactor.enabled": true }),
+      User.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+      User.countDocuments({ lastLogin: { $gte: sevenDaysAgo } }),
+      User.aggregate([
+        { $group: { _id: "$role", count: { $sum: 1 } } },
+        { $project: { role: "$_id", count: 1, _id: 0 } },
+      ]),
+      MoodEntry.estimatedDocumentCount(),
+      MoodEntry.countDocuments({ createdAt: { $gte: sevenDaysAgo } }),
+      MoodEntry.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+      MoodEntry.aggregate([
+        { $match: { createdAt: { $gte: thirtyDaysAgo } } },
+        {
+          $group: {
+            _id: "$mood",
+            count: { $sum: 1 },
+            avgIntensity: { $avg: "$moodIntensity" },
+          },
+        },
+        {
+          $project: {
+            mood: "$_id",
+            count: 1,
+            avgIntensity: { $round: ["$avgIntensity", 2] },
+            _id: 0,
+          },
+        },
+        { $sort: { count: -1 } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: {
+          total: totalUsers,
+          active: activeUsers,
+          inactive: totalUsers - activeUsers,
+          emailVerified: verifiedUsers,
+          twoFactorEnabled: twoFactorUsers,
+          newLast30Days: newUsersLast30Days,
+          loggedInLast7Days: activeLast7Days,
+          byRole: roleCounts,
+        },
+        entries: {
+          total: totalEntries,
+          last7Days: entriesLast7Days,
+          last30Days: entriesLast30Days,
+          moodDistributionLast30Days: moodDistribution,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,25 +1,67 @@
-import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import QRCode from "qrcode";
 import { validationResult } from "express-validator";
 import User from "../models/User.js";
-
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+import Session from "../models/Session.js";
+import {
+  signAccessToken,
+  hashToken,
+  generateRandomToken,
+  buildRefreshToken,
+  parseRefreshToken,
+  getRefreshTokenExpiry,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from "../utils/tokens.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+} from "../utils/totp.js";
+import { sendMail, buildClientUrl } from "../utils/mailer.js";
+import { getDeletionGraceDays, purgeUserData } from "../jobs/accountPurge.js";
+import { isEmailVerificationRequired } from "../middleware/auth.js";
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 300),
+  ip: req.ip,
+});
+
+const startSession = async (user, req) => {
+  const secret = generateRandomToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: getRefreshTokenExpiry(),
+    ...getClientInfo(req),
   });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken: buildRefreshToken(session._id, secret),
+  };
 };
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+const createSendToken = async (user, statusCode, req, res, extra = {}) => {
+  const { token, refreshToken } = await startSession(user, req);
 
   user.password = undefined;
 
   res.status(statusCode).json({
     success: true,
+    ...extra,
     token,
+    refreshToken,
     user: {
       id: user._id,
       username: user.username,
       email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
       profile: user.profile,
       settings: user.settings,
       streak: user.streak,
@@ -28,6 +70,91 @@ const createSendToken = (user, statusCode, res) => {
   });
 };
 
+const sendVerificationEmail = async (user) => {
+  const token = signEmailVerificationToken(user);
+  const verifyUrl = buildClientUrl(`/verify-email/${token}`);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your MoodBuddy email address",
+    text: `Hi ${user.username},\n\nPlease confirm that this is your email address by opening the link below:\n\n${verifyUrl}\n\nIf you didn't create a MoodBuddy account, you can ignore this email.`,
+  });
+
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+};
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// Logging back in during the deletion grace period cancels the deletion.
+const completeLogin = async (user, statusCode, req, res, extra = {}) => {
+  const response = { ...extra };
+
+  if (user.deletionScheduledFor) {
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    response.deletionCancelled = true;
+  }
+
+  user.lastLogin = new Date();
+  await user.recalculateStreak();
+  await user.save({ validateBeforeSave: false });
+
+  await createSendToken(user, statusCode, req, res, response);
+};
+
+// Password checks out; with 2FA on, hand back a short-lived challenge instead
+// of tokens so the login is finished by POST /2fa/verify.
+const sendLoginResponse = async (user, statusCode, req, res, extra = {}) => {
+  if (user.twoFactor?.enabled) {
+    return res.status(statusCode).json({
+      success: true,
+      ...extra,
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id),
+    });
+  }
+
+  await completeLogin(user, statusCode, req, res, extra);
+};
+
+// Accepts either a current TOTP code or an unused recovery code. The user must
+// be loaded with TWO_FACTOR_FIELDS; the caller saves it afterwards.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+      return false;
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    return user.consumeRecoveryCode(recoveryCode);
+  }
+
+  return false;
+};
+
+const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed || !mongoose.isValidObjectId(parsed.sessionId)) return {};
+
+  const session = await Session.findById(parsed.sessionId).select(
+    "+refreshTokenHash"
+  );
+  if (!session) return {};
+
+  return {
+    session,
+    matches: session.refreshTokenHash === hashToken(parsed.secret),
+  };
+};
+
 export const register = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -39,7 +166,7 @@ export const register = async (req, res, next) => {
       });
     }
 
-    const { username, email, password, profile } = req.body;
+    const { username, email, password, profile, timezone } = req.body;
 
     const existingUser = await User.findOne({
       $or: [{ email }, { username }],
@@ -57,10 +184,18 @@ export const register = async (req, res, next) => {
       email,
       password,
       profile,
+      ...(timezone && { settings: { timezone } }),
       lastLogin: new Date(),
     });
 
-    createSendToken(user, 201, res);
+    // A mail outage shouldn't block sign-up; the user can resend later.
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Verification email failed:", mailError.message);
+    }
+
+    await createSendToken(user, 201, req, res);
   } catch (error) {
     next(error);
   }
@@ -95,10 +230,7 @@ export const login = async (req, res, next) => {
       });
     }
 
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
-
-    createSendToken(user, 200, res);
+    await sendLoginResponse(user, 200, req, res);
   } catch (error) {
     next(error);
   }
@@ -107,6 +239,7 @@ export const login = async (req, res, next) => {
 export const getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
+    await user.refreshStreak();
 
     res.status(200).json({
       success: true,
@@ -114,10 +247,13 @@ export const getMe = async (req, res, next) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
         profile: user.profile,
         settings: user.settings,
         streak: user.streak,
         lastLogin: user.lastLogin,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
         createdAt: user.createdAt,
       },
     });
@@ -138,16 +274,44 @@ export const updateProfile = async (req, res, next) => {
     }
 
     const { profile, settings } = req.body;
+
+    if (
+      settings?.dailyReminder === true &&
+      isEmailVerificationRequired("reminders") &&
+      !req.user.emailVerified
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address to turn on daily reminders",
+      });
+    }
+
     const updateFields = {};
 
     if (profile) updateFields.profile = profile;
-    if (settings) updateFields.settings = settings;
+
+    // Settings are merged key by key so changing e.g. the timezone doesn't
+    // wipe the other preferences.
+    if (settings) {
+      for (const [key, value] of Object.entries(settings)) {
+        updateFields[`settings.${key}`] = value;
+      }
+    }
 
     const user = await User.findByIdAndUpdate(req.user.id, updateFields, {
       new: true,
       runValidators: true,
     });
 
+    // Both settings change which days count towards the streak.
+    if (
+      settings &&
+      (settings.timezone !== undefined || settings.streakFreezes !== undefined)
+    ) {
+      await user.recalculateStreak();
+      await user.save({ validateBeforeSave: false });
+    }
+
     res.status(200).json({
       success: true,
       message: "Profile updated successfully",
@@ -155,6 +319,7 @@ export const updateProfile = async (req, res, next) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         profile: user.profile,
         settings: user.settings,
         streak: user.streak,
@@ -190,8 +355,9 @@ export const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    res.status(200).json({
-      success: true,
+    await Session.revokeAllForUser(user._id);
+
+    await createSendToken(user, 200, req, res, {
       message: "Password updated successfully",
     });
   } catch (error) {
@@ -207,6 +373,8 @@ export const deactivateAccount = async (req, res, next) => {
       { new: true }
     );
 
+    await Session.revokeAllForUser(req.user.id);
+
     res.status(200).json({
       success: true,
       message: "Account deactivated successfully",
@@ -215,3 +383,602 @@ export const deactivateAccount = async (req, res, next) => {
     next(error);
   }
 };
+
+export const refreshToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { session, matches } = await findSessionByRefreshToken(
+      req.body.refreshToken
+    );
+
+    if (!session || session.isExpired()) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    // A valid session id with a stale secret means an already-rotated token
+    // was replayed, so the whole session is treated as compromised.
+    if (!matches) {
+      await session.deleteOne();
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has already been used. Please log in again.",
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.deleteOne();
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized: User not found or inactive",
+      });
+    }
+
+    // Swapping the hash only if it is still the one we checked means two
+    // concurrent refreshes with the same token can't both succeed.
+    const secret = generateRandomToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+      {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        expiresAt: getRefreshTokenExpiry(),
+        ...getClientInfo(req),
+      }
+    );
+
+    if (!rotated) {
+      await Session.deleteOne({ _id: session._id });
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has already been used. Please log in again.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: signAccessToken(user._id, session._id),
+      refreshToken: buildRefreshToken(session._id, secret),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const logout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { session, matches } = await findSessionByRefreshToken(
+      req.body.refreshToken
+    );
+
+    if (session && matches) {
+      await session.deleteOne();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeSession = async (req, res, next) => {
+  try {
+    const result = await Session.deleteOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Other sessions revoked successfully",
+      revoked: result.deletedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // Same answer whether or not the address exists, so the endpoint can't
+    // be used to discover accounts.
+    const genericResponse = {
+      success: true,
+      message:
+        "If an account exists for that email, a password reset link has been sent",
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = buildClientUrl(`/reset-password/${resetToken}`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your MoodBuddy password",
+        text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThe link expires in ${
+          parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30
+        } minutes. If you didn't ask for this, you can ignore this email.`,
+      });
+    } catch (mailError) {
+      // Still the generic answer: an error here would only ever happen for
+      // addresses that exist.
+      console.error("Password reset email failed:", mailError.message);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Password reset token is invalid or has expired",
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id);
+
+    await sendLoginResponse(user, 200, req, res, {
+      message: "Password reset successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    const cooldownMs =
+      (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+
+    if (
+      user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() < cooldownMs
+    ) {
+      return res.status(429).json({
+        success: false,
+        message: "Verification email was sent recently. Please try again later.",
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateTotpSecret();
+    const otpauthUrl = buildOtpauthUri(secret, user.email);
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code, then confirm with a code from your app",
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(
+      "+twoFactor.pendingSecret"
+    );
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.setRecoveryCodes(recoveryCodes);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes somewhere safe; they won't be shown again.",
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(req.body.challengeToken);
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please log in again.",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please log in again.",
+      });
+    }
+
+    if (!(await checkSecondFactor(user, req.body))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    await completeLogin(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(
+      `+password ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await user.correctPassword(req.body.password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    if (!(await checkSecondFactor(user, req.body))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await checkSecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await user.setRecoveryCodes(recoveryCodes);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated. Previous codes no longer work.",
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteAccount = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!(await user.correctPassword(req.body.password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const graceDays = getDeletionGraceDays();
+
+    if (graceDays === 0) {
+      await purgeUserData(user._id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Account and all associated data deleted permanently",
+      });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(
+      Date.now() + graceDays * 24 * 60 * 60 * 1000
+    );
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Your MoodBuddy account is scheduled for deletion",
+        text: `Hi ${user.username},\n\nYour account and all of your mood entries will be permanently deleted on ${user.deletionScheduledFor.toUTCString()}.\n\nChanged your mind? Just log in again before then and the deletion will be cancelled.`,
+      });
+    } catch (mailError) {
+      console.error("Deletion notice email failed:", mailError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Account scheduled for permanent deletion. Log in within ${graceDays} days to cancel.`,
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
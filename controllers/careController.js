@@ -0,0 +1,548 @@
+import { validationResult } from "express-validator";
+import ClinicianLink, { ClinicianInviteCode } from "../models/ClinicianLink.js";
+import ClinicianAccessLog from "../models/ClinicianAccessLog.js";
+import MoodEntry from "../models/MoodEntry.js";
+import User from "../models/User.js";
+import { summarizeByDay } from "../utils/dailySummary.js";
+import { buildTrendSeries } from "../utils/trends.js";
+import { findLowPeriods } from "../utils/lowPeriods.js";
+import { getUserVocabulary } from "../utils/vocabulary.js";
+import { withEncryptedFields } from "../utils/entryEncryption.js";
+import {
+  getUserTimeZone,
+  getTodayKey,
+  addDays,
+  toDayNumber,
+} from "../utils/timezone.js";
+
+const PERSON_FIELDS = "username email profile.firstName profile.lastName";
+
+const toPerson = (user) =>
+  user && {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    firstName: user.profile?.firstName,
+    lastName: user.profile?.lastName,
+  };
+
+const REPORT_FIELDS = [
+  "localDate",
+  "date",
+  "mood",
+  "moodIntensity",
+  "activities",
+  "sleepHours",
+  "weather",
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Date range in the patient's own timezone; defaults to the last 30 days.
+const resolveRange = (patient, { startDate, endDate }) => {
+  const endKey = endDate || getTodayKey(getUserTimeZone(patient));
+  return { start: startDate || addDays(endKey, -29), end: endKey };
+};
+
+const MAX_REPORT_DAYS = 366;
+
+// Checked on the resolved range, since either end may have been defaulted.
+const getRangeError = ({ start, end }) => {
+  const days = toDayNumber(end) - toDayNumber(start);
+  if (days < 0) return "Start date cannot be after end date";
+  if (days >= MAX_REPORT_DAYS) {
+    return `Range cannot exceed ${MAX_REPORT_DAYS} days`;
+  }
+  return null;
+};
+
+const buildPatientReport = async (
+  patient,
+  link,
+  range,
+  { interval = "week", detailed = false } = {}
+) => {
+  const fields = link.includeJournal
+    ? [...REPORT_FIELDS, "journalEntry"]
+    : REPORT_FIELDS;
+
+  const [entries, { moodsByName }] = await Promise.all([
+    MoodEntry.getEntriesByDateRange(patient._id, range.start, range.end)
+      .select(withEncryptedFields(fields))
+      .lean(),
+    getUserVocabulary(patient._id),
+  ]);
+  await MoodEntry.decryptEntries(entries);
+
+  const days = summarizeByDay(entries);
+  const moodCounts = new Map();
+  for (const entry of entries) {
+    moodCounts.set(entry.mood, (moodCounts.get(entry.mood) || 0) + 1);
+  }
+
+  const report = {
+    patient: toPerson(patient),
+    includeJournal: link.includeJournal,
+    period: { ...range, timezone: getUserTimeZone(patient) },
+    summary: {
+      entryCount: entries.length,
+      daysLogged: days.length,
+      averageIntensity: entries.length
+        ? round1(
+            entries.reduce((sum, entry) => sum + entry.moodIntensity, 0) /
+              entries.length
+          )
+        : null,
+      moodDistribution: [...moodCounts.entries()]
+        .map(([mood, count]) => ({
+          mood,
+          count,
+          valence: moodsByName.get(mood)?.valence ?? null,
+        }))
+        .sort((a, b) => b.count - a.count),
+      lastEntryDate: entries[0]?.localDate ?? null,
+    },
+    trends: buildTrendSeries(entries, {
+      startKey: range.start,
+      endKey: range.end,
+      interval,
+      weekStartsOn: patient.settings?.weekStartsOn || "sunday",
+    }),
+    lowPeriods: findLowPeriods(entries, { moodsByName }),
+  };
+
+  if (detailed) {
+    report.days = days;
+    report.entries = entries.map(({ _id, user, ...entry }) => ({
+      id: _id,
+      ...entry,
+    }));
+  }
+
+  return report;
+};
+
+const recordAccess = (req, link, action, range) =>
+  ClinicianAccessLog.create({
+    user: link.user._id || link.user,
+    clinician: req.user._id,
+    action,
+    range,
+    includedJournal: action === "patient-report" && link.includeJournal,
+    ip: req.ip,
+    userAgent: (req.get("user-agent") || "").slice(0, 300),
+  });
+
+export const createInviteCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const days = req.body.expiresInDays || 7;
+    const invite = await ClinicianInviteCode.create({
+      clinician: req.user._id,
+      label: req.body.label,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invite code created",
+      data: invite,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getInviteCodes = async (req, res, next) => {
+  try {
+    const invites = await ClinicianInviteCode.find({
+      clinician: req.user._id,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteInviteCode = async (req, res, next) => {
+  try {
+    const invite = await ClinicianInviteCode.findOneAndDelete({
+      _id: req.params.id,
+      clinician: req.user._id,
+    });
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: "Invite code not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invite code deleted",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Dashboard: every linked patient with a summary, weekly trend and flagged
+// low periods for the range. Journal text is never part of the dashboard.
+export const getPatients = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const links = await ClinicianLink.find({ clinician: req.user._id })
+      .populate("user", `${PERSON_FIELDS} settings isActive`)
+      .sort({ createdAt: 1 });
+
+    const activeLinks = links.filter((link) => link.user?.isActive);
+    const ranges = activeLinks.map((link) =>
+      resolveRange(link.user, req.query)
+    );
+
+    const rangeError = ranges.map(getRangeError).find(Boolean);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError,
+      });
+    }
+
+    const patients = [];
+
+    for (const [index, link] of activeLinks.entries()) {
+      const range = ranges[index];
+      const { summary, trends, lowPeriods } = await buildPatientReport(
+        link.user,
+        { includeJournal: false },
+        range
+      );
+      await recordAccess(req, link, "dashboard", range);
+
+      patients.push({
+        linkId: link._id,
+        patient: toPerson(link.user),
+        linkedAt: link.createdAt,
+        journalShared: link.includeJournal,
+        period: range,
+        summary,
+        trends,
+        lowPeriods,
+        flagged: lowPeriods.length > 0,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: patients.length,
+      data: patients,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getPatientReport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const link = await ClinicianLink.findOne({
+      clinician: req.user._id,
+      user: req.params.patientId,
+    }).populate("user", `${PERSON_FIELDS} settings isActive`);
+
+    if (!link || !link.user?.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    const range = resolveRange(link.user, req.query);
+    const rangeError = getRangeError(range);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError,
+      });
+    }
+
+    const report = await buildPatientReport(link.user, link, range, {
+      interval: req.query.interval || "week",
+      detailed: true,
+    });
+    await recordAccess(req, link, "patient-report", range);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const dischargePatient = async (req, res, next) => {
+  try {
+    const link = await ClinicianLink.findOneAndDelete({
+      clinician: req.user._id,
+      user: req.params.patientId,
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Patient unlinked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const linkClinician = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const invite = await ClinicianInviteCode.findOne({
+      code: req.body.code,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    const clinician =
+      invite &&
+      (await User.findOne({
+        _id: invite.clinician,
+        role: "clinician",
+        isActive: true,
+      }).select(PERSON_FIELDS));
+
+    if (!clinician) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invite code",
+      });
+    }
+
+    if (String(clinician._id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot link your own clinician account",
+      });
+    }
+
+    const existing = await ClinicianLink.exists({
+      user: req.user._id,
+      clinician: clinician._id,
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "This clinician already has access",
+      });
+    }
+
+    // Claim the code atomically so it can't be redeemed twice.
+    const claimed = await ClinicianInviteCode.findOneAndUpdate(
+      { _id: invite._id, usedAt: null },
+      { usedAt: new Date(), usedBy: req.user._id }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invite code",
+      });
+    }
+
+    const link = await ClinicianLink.create({
+      user: req.user._id,
+      clinician: clinician._id,
+      includeJournal: !!req.body.includeJournal,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Clinician linked",
+      data: {
+        id: link._id,
+        clinician: toPerson(clinician),
+        includeJournal: link.includeJournal,
+        createdAt: link.createdAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getClinicians = async (req, res, next) => {
+  try {
+    const links = await ClinicianLink.find({ user: req.user._id })
+      .populate("clinician", PERSON_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links.map((link) => ({
+        id: link._id,
+        clinician: toPerson(link.clinician),
+        includeJournal: link.includeJournal,
+        createdAt: link.createdAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateClinicianAccess = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const link = await ClinicianLink.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { includeJournal: req.body.includeJournal },
+      { new: true }
+    ).populate("clinician", PERSON_FIELDS);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Clinician link not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Clinician access updated",
+      data: {
+        id: link._id,
+        clinician: toPerson(link.clinician),
+        includeJournal: link.includeJournal,
+        createdAt: link.createdAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeClinician = async (req, res, next) => {
+  try {
+    const link = await ClinicianLink.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Clinician link not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Clinician access revoked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getAccessLog = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const query = { user: req.user._id };
+
+    const logs = await ClinicianAccessLog.find(query)
+      .populate("clinician", PERSON_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ClinicianAccessLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      data: logs.map((log) => ({
+        id: log._id,
+        clinician: toPerson(log.clinician),
+        action: log.action,
+        range: log.range,
+        includedJournal: log.includedJournal,
+        ip: log.ip,
+        userAgent: log.userAgent,
+        createdAt: log.createdAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
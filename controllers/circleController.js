@@ -0,0 +1,371 @@
+import { validationResult } from "express-validator";
+import SupportContact, {
+  getShareLevelFields,
+} from "../models/SupportContact.js";
+import MoodEntry from "../models/MoodEntry.js";
+import User from "../models/User.js";
+import { notify, getEnabledChannels } from "../utils/notifier.js";
+import { withEncryptedFields } from "../utils/entryEncryption.js";
+import { buildClientUrl } from "../utils/mailer.js";
+import { getUserTimeZone, getTodayKey, addDays } from "../utils/timezone.js";
+
+const PUBLIC_USER_FIELDS = "username profile.firstName profile.lastName";
+
+const toPerson = (user) =>
+  user && {
+    id: user._id,
+    username: user.username,
+    firstName: user.profile?.firstName,
+    lastName: user.profile?.lastName,
+  };
+
+// Until an invitation is accepted the inviter only sees what they typed, so
+// the circle can't be used to look up who has an account.
+const toLink = (link) => ({
+  id: link._id,
+  user: toPerson(link.user),
+  contact: link.status === "accepted" ? toPerson(link.contact) : null,
+  invitedAs: link.invitedAs,
+  status: link.status,
+  shareLevel: link.shareLevel,
+  acceptedAt: link.acceptedAt,
+  createdAt: link.createdAt,
+});
+
+const findInvitee = (identifier) => {
+  const value = String(identifier).trim();
+  return User.findOne({
+    isActive: true,
+    deletionScheduledFor: null,
+    ...(value.includes("@")
+      ? { email: value.toLowerCase() }
+      : { username: value }),
+  });
+};
+
+export const inviteContact = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { identifier, shareLevel } = req.body;
+    const invitee = await findInvitee(identifier);
+
+    if (invitee && String(invitee._id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot add yourself to your support circle",
+      });
+    }
+
+    // Same answer whether or not the person exists or was already invited,
+    // so the endpoint can't be used to discover accounts.
+    const genericResponse = {
+      success: true,
+      message:
+        "If that person has a MoodBuddy account, they have been invited to your support circle",
+    };
+
+    const existing =
+      invitee &&
+      (await SupportContact.exists({
+        user: req.user._id,
+        contact: invitee._id,
+      }));
+
+    if (!invitee || existing) {
+      return res.status(202).json(genericResponse);
+    }
+
+    try {
+      await SupportContact.create({
+        user: req.user._id,
+        contact: invitee._id,
+        invitedAs: identifier,
+        shareLevel,
+      });
+    } catch (error) {
+      // A concurrent request invited them first.
+      if (error.code !== 11000) throw error;
+      return res.status(202).json(genericResponse);
+    }
+
+    // Best effort: the invite is also listed in GET /api/circle/invites.
+    // Unverified addresses may not belong to the invitee, so they get no mail.
+    const channels = getEnabledChannels().filter(
+      (channel) => channel !== "email" || invitee.emailVerified
+    );
+    notify(
+      invitee,
+      {
+        title: "Support circle invitation",
+        body: `${req.user.username} would like you to be part of their support circle.`,
+        url: buildClientUrl("/circle"),
+      },
+      channels
+    ).catch((error) =>
+      console.error("Support circle invite notification failed:", error)
+    );
+
+    res.status(202).json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invitations waiting for the current user to accept or decline.
+export const getInvites = async (req, res, next) => {
+  try {
+    const invites = await SupportContact.find({
+      contact: req.user._id,
+      status: "pending",
+    })
+      .populate("user", PUBLIC_USER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites.map(toLink),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const acceptInvite = async (req, res, next) => {
+  try {
+    const link = await SupportContact.findOneAndUpdate(
+      { _id: req.params.id, contact: req.user._id, status: "pending" },
+      { status: "accepted", acceptedAt: new Date() },
+      { new: true }
+    ).populate("user", PUBLIC_USER_FIELDS);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation accepted",
+      data: toLink(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const declineInvite = async (req, res, next) => {
+  try {
+    const link = await SupportContact.findOneAndDelete({
+      _id: req.params.id,
+      contact: req.user._id,
+      status: "pending",
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation declined",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// People the current user shares with, pending or accepted.
+export const getContacts = async (req, res, next) => {
+  try {
+    const contacts = await SupportContact.find({ user: req.user._id })
+      .populate("contact", PUBLIC_USER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: contacts.length,
+      data: contacts.map(toLink),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateContact = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const link = await SupportContact.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { shareLevel: req.body.shareLevel },
+      { new: true, runValidators: true }
+    ).populate("contact", PUBLIC_USER_FIELDS);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Support contact not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Sharing updated",
+      data: toLink(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const removeContact = async (req, res, next) => {
+  try {
+    const link = await SupportContact.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Support contact not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Access revoked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// People whose moods the current user can see.
+export const getSupporting = async (req, res, next) => {
+  try {
+    const links = await SupportContact.find({
+      contact: req.user._id,
+      status: "accepted",
+    })
+      .populate("user", PUBLIC_USER_FIELDS)
+      .sort({ acceptedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links.map(toLink),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const leaveCircle = async (req, res, next) => {
+  try {
+    const link = await SupportContact.findOneAndDelete({
+      _id: req.params.id,
+      contact: req.user._id,
+      status: "accepted",
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Support circle not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "You have left this support circle",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Read-only feed of the owner's entries. Only the fields the owner's chosen
+// share level allows are ever loaded from the database.
+export const getFeed = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const link = await SupportContact.findOne({
+      _id: req.params.id,
+      contact: req.user._id,
+      status: "accepted",
+    }).populate("user", `${PUBLIC_USER_FIELDS} settings.timezone isActive`);
+
+    if (!link || !link.user?.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Support circle not found",
+      });
+    }
+
+    const timeZone = getUserTimeZone(link.user);
+    const endKey = req.query.endDate || getTodayKey(timeZone);
+    const startKey = req.query.startDate || addDays(endKey, -29);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const entries = await MoodEntry.getEntriesByDateRange(
+      link.user._id,
+      startKey,
+      endKey
+    )
+      .select(withEncryptedFields(getShareLevelFields(link.shareLevel)))
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    await MoodEntry.decryptEntries(entries);
+
+    const total = await MoodEntry.countDocuments({
+      user: link.user._id,
+      localDate: { $gte: startKey, $lte: endKey },
+    });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries.map(({ _id, user, ...entry }) => ({ id: _id, ...entry })),
+      owner: toPerson(link.user),
+      shareLevel: link.shareLevel,
+      period: { start: startKey, end: endKey, timezone: timeZone },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
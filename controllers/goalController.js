@@ -0,0 +1,213 @@
+import { validationResult } from "express-validator";
+import Goal from "../models/Goal.js";
+import {
+  loadActivityDaysForGoals,
+  getPeriodRange,
+  buildProgress,
+  buildHistory,
+} from "../utils/goals.js";
+import { getUserTimeZone, getTodayKey } from "../utils/timezone.js";
+
+const getGoalContext = (user) => ({
+  today: getTodayKey(getUserTimeZone(user)),
+  weekStartsOn: user.settings?.weekStartsOn || "sunday",
+});
+
+const withProgress = (goal, activityDays, { today, weekStartsOn }) => ({
+  ...goal.toObject(),
+  progress: buildProgress(
+    goal,
+    activityDays.get(goal.activity) || [],
+    getPeriodRange(today, goal.period, weekStartsOn),
+    today
+  ),
+});
+
+export const getGoals = async (req, res, next) => {
+  try {
+    const context = getGoalContext(req.user);
+    const filter = { user: req.user.id };
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === "true";
+    }
+
+    const goals = await Goal.find(filter).sort({ createdAt: 1 });
+    const activityDays = await loadActivityDaysForGoals(
+      req.user.id,
+      goals,
+      context.today
+    );
+
+    res.status(200).json({
+      success: true,
+      count: goals.length,
+      data: goals.map((goal) => withProgress(goal, activityDays, context)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createGoal = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { activity, targetCount, period = "week" } = req.body;
+    const context = getGoalContext(req.user);
+
+    const existing = await Goal.exists({
+      user: req.user.id,
+      activity,
+      period,
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have a ${period}ly goal for '${activity}'`,
+      });
+    }
+
+    const goal = await Goal.create({
+      user: req.user.id,
+      activity,
+      targetCount,
+      period,
+      startDate: context.today,
+    });
+
+    const activityDays = await loadActivityDaysForGoals(
+      req.user.id,
+      [goal],
+      context.today
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Goal created successfully",
+      data: withProgress(goal, activityDays, context),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateGoal = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: "Goal not found",
+      });
+    }
+
+    if (req.body.targetCount !== undefined) {
+      goal.targetCount = req.body.targetCount;
+    }
+    if (req.body.isActive !== undefined) goal.isActive = req.body.isActive;
+    await goal.save();
+
+    const context = getGoalContext(req.user);
+    const activityDays = await loadActivityDaysForGoals(
+      req.user.id,
+      [goal],
+      context.today
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Goal updated successfully",
+      data: withProgress(goal, activityDays, context),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteGoal = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: "Goal not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Goal deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getGoalHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: "Goal not found",
+      });
+    }
+
+    const context = getGoalContext(req.user);
+    const activityDays = await loadActivityDaysForGoals(
+      req.user.id,
+      [goal],
+      context.today
+    );
+
+    const history = buildHistory(goal, activityDays.get(goal.activity) || [], {
+      ...context,
+      limit: parseInt(req.query.limit) || 12,
+    });
+    const completed = history.filter((period) => !period.inProgress);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        goal,
+        history,
+        metPeriods: completed.filter((period) => period.met).length,
+        completedPeriods: completed.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,23 +1,103 @@
 import { validationResult } from "express-validator";
 import MoodEntry from "../models/MoodEntry.js";
 import User from "../models/User.js";
+import { EXPORT_FORMATS } from "../utils/exportFormats.js";
+import { parseImportData, mapImportRecord } from "../utils/importFormats.js";
+import { summarizeDay, summarizeByDay } from "../utils/dailySummary.js";
+import { getUserVocabulary } from "../utils/vocabulary.js";
+import {
+  getSearchTerms,
+  buildHighlights,
+  parseSearchQuery,
+  scoreSearchMatch,
+} from "../utils/searchSnippets.js";
+import { computeInsights, DEFAULT_MIN_SAMPLE } from "../utils/insights.js";
+import { loadActivityDaysForGoals, summarizeGoals } from "../utils/goals.js";
+import Goal from "../models/Goal.js";
+import ShareLink from "../models/ShareLink.js";
+import { summarizeSentimentGap } from "../utils/sentiment.js";
+import {
+  checkLowMood,
+  getSupportResources,
+  resolveRegion,
+} from "../utils/lowMoodRules.js";
+import {
+  buildTrendSeries,
+  countBuckets,
+  getBucketStart,
+  getDefaultTrendStart,
+  DEFAULT_MOVING_WINDOW,
+  MAX_TREND_BUCKETS,
+} from "../utils/trends.js";
+import {
+  getUserTimeZone,
+  getTodayKey,
+  getMonthKeys,
+  isDateKey,
+  addDays,
+  resolveEntryDate,
+} from "../utils/timezone.js";
+
+// "YYYY-MM-DD" bounds filter on the user's calendar day; full timestamps
+// filter on the exact instant.
+const applyDateRange = (query, startDate, endDate) => {
+  for (const [value, operator] of [
+    [startDate, "$gte"],
+    [endDate, "$lte"],
+  ]) {
+    if (!value) continue;
+
+    const field = isDateKey(value) ? "localDate" : "date";
+    query[field] = {
+      ...query[field],
+      [operator]: field === "date" ? new Date(value) : value,
+    };
+  }
+  return query;
+};
+
+// Search decrypts every candidate, so it looks at no more than
+// SEARCH_SCAN_LIMIT (default 1000) of the newest entries in the requested
+// range; older ones are reached by passing back the returned cursor.
+const SEARCH_BATCH_SIZE = 100;
+
+const getSearchScanLimit = () =>
+  parseInt(process.env.SEARCH_SCAN_LIMIT) || 1000;
+
+// "<ISO date>_<entry id>" of the last entry scanned. Entries are scanned by
+// date then id, newest first, so the next stretch starts strictly after it
+// even when several entries share a date.
+const toSearchCursor = (entry) => `${entry.date.toISOString()}_${entry._id}`;
+
+const applySearchCursor = (query, cursor) => {
+  const [isoDate, id] = cursor.split("_");
+  const date = new Date(isoDate);
+  query.$or = [{ date: { $lt: date } }, { date, _id: { $lt: id } }];
+  return query;
+};
+
+// The low-mood check must never cost the user their entry, so failures are
+// only logged.
+const runLowMoodCheck = async (user, entry) => {
+  try {
+    return await checkLowMood(user, entry);
+  } catch (error) {
+    console.error("Low mood check failed:", error);
+    return null;
+  }
+};
 
 export const getEntries = async (req, res, next) => {
   try {
     const { page = 1, limit = 10, startDate, endDate } = req.query;
 
-    let query = { user: req.user.id };
-
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
+    const query = applyDateRange({ user: req.user.id }, startDate, endDate);
 
     const entries = await MoodEntry.find(query)
       .sort({ date: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
+    await MoodEntry.decryptEntries(entries);
 
     const total = await MoodEntry.countDocuments(query);
 
@@ -34,6 +114,91 @@ export const getEntries = async (req, res, next) => {
   }
 };
 
+export const searchEntries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { q, mood, activity, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = applyDateRange({ user: req.user.id }, startDate, endDate);
+    if (mood) query.mood = mood;
+    if (activity) query.activities = activity;
+    if (req.query.cursor) applySearchCursor(query, req.query.cursor);
+
+    // The searched fields are encrypted, so matching happens after
+    // decryption rather than in a text index, a batch at a time.
+    const search = parseSearchQuery(q);
+    const scanLimit = getSearchScanLimit();
+    const matches = [];
+    let batch = [];
+    let scanned = 0;
+    let lastScanned = null;
+    let truncated = false;
+
+    const scoreBatch = async () => {
+      await MoodEntry.decryptEntries(batch);
+      for (const entry of batch) {
+        const score = scoreSearchMatch(entry, search);
+        if (score > 0) matches.push({ entry, score });
+      }
+      batch = [];
+    };
+
+    const cursor = MoodEntry.find(query)
+      .sort({ date: -1, _id: -1 })
+      .limit(scanLimit + 1)
+      .lean()
+      .cursor({ batchSize: SEARCH_BATCH_SIZE });
+
+    for await (const entry of cursor) {
+      if (scanned === scanLimit) {
+        truncated = true;
+        break;
+      }
+
+      scanned += 1;
+      lastScanned = entry;
+      batch.push(entry);
+      if (batch.length === SEARCH_BATCH_SIZE) await scoreBatch();
+    }
+    await scoreBatch();
+
+    matches.sort((a, b) => b.score - a.score);
+
+    const terms = getSearchTerms(q);
+    const pageMatches = matches.slice((page - 1) * limit, page * limit);
+
+    res.status(200).json({
+      success: true,
+      count: pageMatches.length,
+      total: matches.length,
+      page,
+      pages: Math.ceil(matches.length / limit),
+      scanned,
+      truncated,
+      // Pass back as `cursor` to search the next, older stretch.
+      nextCursor: truncated ? toSearchCursor(lastScanned) : null,
+      data: pageMatches.map(({ entry, score }) => ({
+        ...entry,
+        id: entry._id,
+        score: Math.round(score * 100) / 100,
+        highlights: buildHighlights(entry, terms),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getEntry = async (req, res, next) => {
   try {
     const entry = await MoodEntry.findOne({
@@ -47,6 +212,7 @@ export const getEntry = async (req, res, next) => {
         message: "Mood entry not found",
       });
     }
+    await MoodEntry.decryptEntries([entry]);
 
     res.status(200).json({
       success: true,
@@ -68,39 +234,36 @@ export const createEntry = async (req, res, next) => {
       });
     }
 
-    req.body.user = req.user.id;
+    const timeZone = getUserTimeZone(req.user);
+    const { date, localDate } = resolveEntryDate(req.body.date, timeZone);
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const existingEntry = await MoodEntry.findOne({
-      user: req.user.id,
-      date: {
-        $gte: today,
-        $lt: tomorrow,
-      },
-    });
-
-    if (existingEntry) {
+    if (localDate > getTodayKey(timeZone) || date > new Date()) {
       return res.status(400).json({
         success: false,
-        message: "Mood entry already exists for today",
+        message: "Entry date cannot be in the future",
       });
     }
 
-    const entry = await MoodEntry.create(req.body);
+    const entry = await MoodEntry.create({
+      ...req.body,
+      user: req.user.id,
+      date,
+      localDate,
+      isPublic: false,
+    });
 
     const user = await User.findById(req.user.id);
-    const currentStreak = user.updateStreak();
+    const currentStreak = await user.recalculateStreak();
     await user.save({ validateBeforeSave: false });
 
+    const support = await runLowMoodCheck(user, entry);
+
     res.status(201).json({
       success: true,
       message: "Mood entry created successfully",
       data: entry,
       streak: currentStreak,
+      ...(support && { support }),
     });
   } catch (error) {
     next(error);
@@ -118,7 +281,7 @@ export const updateEntry = async (req, res, next) => {
       });
     }
 
-    let entry = await MoodEntry.findOne({
+    const entry = await MoodEntry.findOne({
       _id: req.params.id,
       user: req.user.id,
     });
@@ -130,38 +293,54 @@ export const updateEntry = async (req, res, next) => {
       });
     }
 
-    if (req.body.date) {
-      const newDate = new Date(req.body.date);
-      newDate.setHours(0, 0, 0, 0);
-      const nextDay = new Date(newDate);
-      nextDay.setDate(nextDay.getDate() + 1);
+    const update = { ...req.body };
+    delete update.user;
+    delete update.localDate;
+    // Set by share links, see ShareLink.syncEntryVisibility.
+    delete update.isPublic;
+    delete update.sentiment;
+    delete update.encrypted;
+    delete update.tagIndex;
 
-      const existingEntry = await MoodEntry.findOne({
-        user: req.user.id,
-        date: {
-          $gte: newDate,
-          $lt: nextDay,
-        },
-        _id: { $ne: req.params.id },
-      });
+    if (req.body.date) {
+      const timeZone = getUserTimeZone(req.user);
+      const { date, localDate } = resolveEntryDate(req.body.date, timeZone);
 
-      if (existingEntry) {
+      if (localDate > getTodayKey(timeZone) || date > new Date()) {
         return res.status(400).json({
           success: false,
-          message: "Mood entry already exists for the selected date",
+          message: "Entry date cannot be in the future",
         });
       }
+
+      update.date = date;
+      update.localDate = localDate;
     }
 
-    entry = await MoodEntry.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    const previousLocalDate = entry.localDate;
+
+    // Saved as a document so the model's hooks score and encrypt the
+    // changed fields.
+    await MoodEntry.decryptEntries([entry]);
+    entry.set(update);
+    await entry.save();
+
+    const user = await User.findById(req.user.id);
+
+    let streak;
+    if (entry.localDate !== previousLocalDate) {
+      streak = await user.recalculateStreak();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    const support = await runLowMoodCheck(user, entry);
 
     res.status(200).json({
       success: true,
       message: "Mood entry updated successfully",
       data: entry,
+      ...(streak !== undefined && { streak }),
+      ...(support && { support }),
     });
   } catch (error) {
     next(error);
@@ -183,10 +362,16 @@ export const deleteEntry = async (req, res, next) => {
     }
 
     await MoodEntry.findByIdAndDelete(req.params.id);
+    await ShareLink.deleteMany({ entry: entry._id });
+
+    const user = await User.findById(req.user.id);
+    const currentStreak = await user.recalculateStreak();
+    await user.save({ validateBeforeSave: false });
 
     res.status(200).json({
       success: true,
       message: "Mood entry deleted successfully",
+      streak: currentStreak,
     });
   } catch (error) {
     next(error);
@@ -195,22 +380,48 @@ export const deleteEntry = async (req, res, next) => {
 
 export const getTodayEntry = async (req, res, next) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const entry = await MoodEntry.findOne({
+    const checkIns = await MoodEntry.find({
       user: req.user.id,
-      date: {
-        $gte: today,
-        $lt: tomorrow,
-      },
+      localDate: getTodayKey(getUserTimeZone(req.user)),
+    }).sort({ date: 1 });
+    await MoodEntry.decryptEntries(checkIns);
+
+    // `data` stays the latest check-in for clients that expect one entry.
+    res.status(200).json({
+      success: true,
+      data: checkIns.length > 0 ? checkIns[checkIns.length - 1] : null,
+      count: checkIns.length,
+      checkIns,
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getDay = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const checkIns = await MoodEntry.find({
+      user: req.user.id,
+      localDate: req.params.date,
+    }).sort({ date: 1 });
+    await MoodEntry.decryptEntries(checkIns);
 
     res.status(200).json({
       success: true,
-      data: entry,
+      date: req.params.date,
+      summary:
+        checkIns.length > 0 ? summarizeDay(req.params.date, checkIns) : null,
+      count: checkIns.length,
+      data: checkIns,
     });
   } catch (error) {
     next(error);
@@ -220,21 +431,28 @@ export const getTodayEntry = async (req, res, next) => {
 export const getStats = async (req, res, next) => {
   try {
     const { days = 30 } = req.query;
+    const timeZone = getUserTimeZone(req.user);
 
-    const moodStats = await MoodEntry.getMoodStats(req.user.id, parseInt(days));
+    const moodStats = await MoodEntry.getMoodStats(
+      req.user.id,
+      parseInt(days),
+      timeZone
+    );
     const activityStats = await MoodEntry.getActivityStats(
       req.user.id,
-      parseInt(days)
+      parseInt(days),
+      timeZone
     );
 
     const user = await User.findById(req.user.id);
+    await user.refreshStreak();
 
     const averageIntensity = await MoodEntry.aggregate([
       {
         $match: {
           user: user._id,
-          date: {
-            $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000),
+          localDate: {
+            $gte: addDays(getTodayKey(timeZone), -(parseInt(days) - 1)),
           },
         },
       },
@@ -246,12 +464,52 @@ export const getStats = async (req, res, next) => {
       },
     ]);
 
+    const { moodsByName, activitiesByName } = await getUserVocabulary(
+      req.user.id
+    );
+
+    // Entries can outlive a deleted custom mood/activity, hence the fallbacks.
+    const moodDistribution = moodStats.map((stat) => {
+      const mood = moodsByName.get(stat.mood);
+      return {
+        ...stat,
+        valence: mood?.valence ?? null,
+        color: mood?.color ?? null,
+        emoji: mood?.emoji ?? null,
+      };
+    });
+
+    const activityFrequency = activityStats.map((stat) => ({
+      ...stat,
+      category: activitiesByName.get(stat.activity)?.category ?? "other",
+    }));
+
+    const analyzedEntries = await MoodEntry.find({
+      user: user._id,
+      localDate: {
+        $gte: addDays(getTodayKey(timeZone), -(parseInt(days) - 1)),
+      },
+      "sentiment.score": { $exists: true },
+    })
+      .select("localDate date mood moodIntensity sentiment.score")
+      .lean();
+
+    const goals = await Goal.find({ user: user._id, isActive: true });
+    const today = getTodayKey(timeZone);
+    const goalSummary = summarizeGoals(
+      goals,
+      await loadActivityDaysForGoals(req.user.id, goals, today),
+      { today, weekStartsOn: user.settings?.weekStartsOn || "sunday" }
+    );
+
     res.status(200).json({
       success: true,
       data: {
-        moodDistribution: moodStats,
-        activityFrequency: activityStats,
+        moodDistribution,
+        activityFrequency,
         streak: user.streak,
+        goals: goalSummary,
+        sentiment: summarizeSentimentGap(analyzedEntries, moodsByName),
         averageMood:
           averageIntensity.length > 0
             ? Math.round(averageIntensity[0].avgIntensity * 10) / 10
@@ -264,44 +522,446 @@ export const getStats = async (req, res, next) => {
   }
 };
 
-export const getCalendar = async (req, res, next) => {
+export const getInsights = async (req, res, next) => {
   try {
-    const { year, month } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
 
-    let startDate, endDate;
+    const days = parseInt(req.query.days) || 90;
+    const minSample = parseInt(req.query.minSample) || DEFAULT_MIN_SAMPLE;
+    const timeZone = getUserTimeZone(req.user);
+    const endKey = getTodayKey(timeZone);
+    const startKey = addDays(endKey, -(days - 1));
 
-    if (year && month) {
-      startDate = new Date(year, month - 1, 1);
-      endDate = new Date(year, month, 0);
-    } else {
-      const now = new Date();
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    const [entries, { moodsByName }] = await Promise.all([
+      MoodEntry.find({
+        user: req.user.id,
+        localDate: { $gte: startKey, $lte: endKey },
+      })
+        .select(
+          "localDate date mood moodIntensity activities weather sleepHours"
+        )
+        .lean(),
+      getUserVocabulary(req.user.id),
+    ]);
+
+    const { daysAnalyzed, insights } = computeInsights(entries, {
+      moodsByName,
+      minSample,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        insights,
+        daysAnalyzed,
+        minSample,
+        period: { start: startKey, end: endKey, timezone: timeZone },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getTrends = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
     }
 
+    const interval = req.query.interval || "day";
+    const timeZone = getUserTimeZone(req.user);
+    const weekStartsOn = req.user.settings?.weekStartsOn || "sunday";
+    const endKey = req.query.endDate || getTodayKey(timeZone);
+    const startKey = getBucketStart(
+      req.query.startDate ||
+        getDefaultTrendStart(endKey, interval, weekStartsOn),
+      interval,
+      weekStartsOn
+    );
+
+    if (startKey > endKey) {
+      return res.status(400).json({
+        success: false,
+        message: "Start date must be on or before end date",
+      });
+    }
+
+    if (
+      countBuckets(startKey, endKey, interval, weekStartsOn) > MAX_TREND_BUCKETS
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Range is too large; at most ${MAX_TREND_BUCKETS} ${interval} buckets are allowed`,
+      });
+    }
+
+    const [entries, { moodsByName }] = await Promise.all([
+      MoodEntry.getEntriesByDateRange(req.user.id, startKey, endKey)
+        .select("localDate mood moodIntensity sentiment.score")
+        .lean(),
+      getUserVocabulary(req.user.id),
+    ]);
+
+    const window =
+      parseInt(req.query.window) || DEFAULT_MOVING_WINDOW[interval];
+
+    res.status(200).json({
+      success: true,
+      data: buildTrendSeries(entries, {
+        startKey,
+        endKey,
+        interval,
+        weekStartsOn,
+        window,
+        moodsByName,
+      }),
+      interval,
+      movingAverageWindow: window,
+      period: {
+        start: startKey,
+        end: endKey,
+        timezone: timeZone,
+        weekStartsOn,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSupport = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: req.user.settings?.lowMoodSupport !== false,
+        ...getSupportResources(resolveRegion(req.user)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCalendar = async (req, res, next) => {
+  try {
+    const timeZone = getUserTimeZone(req.user);
+    let { year, month } = req.query;
+
+    if (!year || !month) {
+      [year, month] = getTodayKey(timeZone).split("-");
+    }
+
+    const { start, end } = getMonthKeys(parseInt(year), parseInt(month));
+
     const entries = await MoodEntry.getEntriesByDateRange(
       req.user.id,
-      startDate,
-      endDate
+      start,
+      end
     );
 
-    const calendarData = entries.map((entry) => ({
-      date: entry.formattedDate,
-      mood: entry.mood,
-      intensity: entry.moodIntensity,
-      hasJournal: !!entry.journalEntry,
-      activities: entry.activities,
-    }));
+    const calendarData = summarizeByDay(entries);
 
     res.status(200).json({
       success: true,
       data: calendarData,
       period: {
-        start: startDate,
-        end: endDate,
+        start,
+        end,
+        timezone: timeZone,
       },
     });
   } catch (error) {
     next(error);
   }
 };
+
+export const exportEntries = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { format = "json", startDate, endDate } = req.query;
+  const formatter = EXPORT_FORMATS[format];
+
+  const query = applyDateRange({ user: req.user.id }, startDate, endDate);
+
+  const cursor = MoodEntry.find(query)
+    .sort({ localDate: 1, date: 1 })
+    .lean()
+    .cursor();
+
+  // Resolves on "close" too, so a client hanging up mid-download doesn't
+  // leave us waiting for a drain that never comes.
+  const waitForDrain = () =>
+    new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+
+  try {
+    const fileName = `moodbuddy-export-${
+      new Date().toISOString().split("T")[0]
+    }.${formatter.extension}`;
+
+    res.status(200);
+    res.setHeader("Content-Type", formatter.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    res.write(formatter.header());
+
+    let index = 0;
+    for await (const entry of cursor) {
+      if (res.destroyed) break;
+      await MoodEntry.decryptEntries([entry]);
+
+      // Respect backpressure so large histories never pile up in memory.
+      if (!res.write(formatter.entry(entry, index++))) {
+        await waitForDrain();
+      }
+    }
+
+    if (res.destroyed) {
+      await cursor.close();
+      return;
+    }
+
+    res.end(formatter.footer());
+  } catch (error) {
+    await cursor.close().catch(() => {});
+
+    // Once streaming has started the status line is gone, so the best we can
+    // do is cut the download short.
+    if (res.headersSent) {
+      console.error("Export stream error:", error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+const getValidationMessages = (doc) => {
+  const error = doc.validateSync();
+  return error ? Object.values(error.errors).map((err) => err.message) : [];
+};
+
+const unique = (values) => [...new Set(values)];
+
+// Existing values win; lists are unioned and journal text is appended.
+const mergeEntryFields = (target, incoming) => {
+  let journalEntry = target.journalEntry || incoming.journalEntry;
+
+  if (
+    target.journalEntry &&
+    incoming.journalEntry &&
+    !target.journalEntry.includes(incoming.journalEntry)
+  ) {
+    journalEntry = `${target.journalEntry}\n\n${incoming.journalEntry}`;
+  }
+
+  return {
+    journalEntry,
+    tags: unique([...(target.tags || []), ...(incoming.tags || [])]),
+    activities: unique([
+      ...(target.activities || []),
+      ...(incoming.activities || []),
+    ]),
+    sleepHours: target.sleepHours ?? incoming.sleepHours,
+    weather: target.weather ?? incoming.weather,
+    location: target.location ?? incoming.location,
+  };
+};
+
+export const importEntries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      format,
+      data,
+      mapping,
+      dryRun = false,
+      onConflict = "skip",
+    } = req.body;
+
+    let records;
+    try {
+      records = parseImportData(format, data);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not parse import data: ${parseError.message}`,
+      });
+    }
+
+    const maxRows = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+    if (records.length > maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `Import is limited to ${maxRows} rows per request`,
+      });
+    }
+
+    const { moodNames, activityNames } = await getUserVocabulary(req.user.id);
+    const vocabulary = { moods: moodNames, activities: activityNames };
+
+    const timeZone = getUserTimeZone(req.user);
+    const todayKey = getTodayKey(timeZone);
+
+    const report = {
+      total: records.length,
+      created: 0,
+      merged: 0,
+      skipped: 0,
+      failed: 0,
+      errors: [],
+      warnings: [],
+    };
+
+    // Row numbers are 1-based positions among the data rows (header excluded).
+    const candidates = [];
+    records.forEach((record, index) => {
+      const row = index + 1;
+      const mapped = mapImportRecord(record, {
+        format,
+        mapping,
+        vocabulary,
+        timeZone,
+      });
+      const rowErrors = [...mapped.errors];
+
+      if (rowErrors.length === 0) {
+        if (
+          mapped.entry.localDate > todayKey ||
+          mapped.entry.date > new Date()
+        ) {
+          rowErrors.push("Entry date cannot be in the future");
+        }
+
+        const doc = new MoodEntry({ ...mapped.entry, user: req.user.id });
+        rowErrors.push(...getValidationMessages(doc));
+
+        if (rowErrors.length === 0) candidates.push({ row, doc });
+      }
+
+      if (mapped.warnings.length > 0) {
+        report.warnings.push({ row, messages: mapped.warnings });
+      }
+      if (rowErrors.length > 0) {
+        report.failed++;
+        report.errors.push({ row, messages: rowErrors });
+      }
+    });
+
+    // A row conflicts with an entry logged at the same moment on the same
+    // day, which is what re-importing an earlier export produces.
+    const toSlotKey = (entry) => `${entry.localDate}|${entry.date.getTime()}`;
+    const entriesBySlot = new Map();
+
+    if (candidates.length > 0) {
+      const existingEntries = await MoodEntry.find({
+        user: req.user.id,
+        localDate: { $in: candidates.map(({ doc }) => doc.localDate) },
+      });
+      await MoodEntry.decryptEntries(existingEntries);
+
+      existingEntries.forEach((entry) =>
+        entriesBySlot.set(toSlotKey(entry), entry)
+      );
+    }
+
+    const toInsert = [];
+    const toUpdate = new Set();
+
+    for (const { row, doc } of candidates) {
+      const slotKey = toSlotKey(doc);
+      const target = entriesBySlot.get(slotKey);
+
+      if (!target) {
+        entriesBySlot.set(slotKey, doc);
+        toInsert.push(doc);
+        report.created++;
+        continue;
+      }
+
+      if (onConflict !== "merge") {
+        report.skipped++;
+        continue;
+      }
+
+      const merged = mergeEntryFields(target, doc);
+      const mergeErrors = getValidationMessages(
+        new MoodEntry({ ...target.toObject(), ...merged })
+      );
+
+      if (mergeErrors.length > 0) {
+        report.failed++;
+        report.errors.push({ row, messages: mergeErrors });
+        continue;
+      }
+
+      target.set(merged);
+      if (!target.isNew) toUpdate.add(target);
+      report.merged++;
+    }
+
+    let streak;
+
+    if (!dryRun) {
+      if (toInsert.length > 0) {
+        await MoodEntry.insertMany(toInsert, { ordered: false });
+      }
+      for (const entry of toUpdate) {
+        await entry.save();
+      }
+
+      const user = await User.findById(req.user.id);
+      await user.recalculateStreak();
+      await user.save({ validateBeforeSave: false });
+      streak = user.streak;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? "Dry run complete, no entries were changed"
+        : "Import complete",
+      dryRun,
+      data: report,
+      ...(streak && { streak }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,223 @@
+import { validationResult } from "express-validator";
+import PushSubscription from "../models/PushSubscription.js";
+import { getVapidConfig } from "../utils/webPush.js";
+import { sendPushToUser } from "../utils/pushDelivery.js";
+import { buildClientUrl } from "../utils/mailer.js";
+
+export const getVapidPublicKey = async (req, res, next) => {
+  try {
+    const vapid = getVapidConfig();
+
+    if (!vapid) {
+      return res.status(503).json({
+        success: false,
+        message: "Push notifications are not configured",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { publicKey: vapid.publicKey },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await PushSubscription.find({
+      user: req.user.id,
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions.map((subscription) => subscription.toPublicJSON()),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upserts by endpoint: a browser that re-subscribes, or a device that changes
+// hands between accounts, keeps a single record owned by the current user.
+export const subscribe = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { endpoint, keys, expirationTime } = req.body;
+
+    const existing = await PushSubscription.exists({ endpoint });
+
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user.id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        expirationTime: expirationTime ? new Date(expirationTime) : undefined,
+        userAgent: req.get("user-agent")?.slice(0, 300),
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: "Push subscription saved",
+      data: subscription.toPublicJSON(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const unsubscribe = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const filter = req.params.id
+      ? { _id: req.params.id, user: req.user.id }
+      : { endpoint: req.body.endpoint, user: req.user.id };
+
+    const result = await PushSubscription.deleteOne(filter);
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Push subscription not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Push subscription removed",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const sendTestPush = async (req, res, next) => {
+  try {
+    if (!getVapidConfig()) {
+      return res.status(503).json({
+        success: false,
+        message: "Push notifications are not configured",
+      });
+    }
+
+    const result = await sendPushToUser(req.user.id, {
+      title: "MoodBuddy",
+      body: "Push notifications are working on this device.",
+      url: buildClientUrl("/"),
+    });
+
+    if (result.devices === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No push subscriptions registered",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stand-in push service for local development (PUSH_MOCK_ENABLED=true) and
+// tests. Subscribe with an endpoint of `<BASE_URL>/api/push/mock/<token>`;
+// tokens starting with "gone" answer 410 and "missing" 404, like a real
+// service does for a dead subscription. Received messages stay in memory for
+// inspection.
+const mockInboxes = new Map();
+const MOCK_INBOX_SIZE = 50;
+
+// Reads the body by hand: express's body parsers reject the aes128gcm
+// Content-Encoding as an unknown compression.
+const readRawBody = async (req, limit = 8 * 1024) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) return null;
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+export const receiveMockPush = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    if (token.startsWith("gone")) return res.status(410).end();
+    if (token.startsWith("missing")) return res.status(404).end();
+
+    if (!/^vapid t=[^,]+, k=/.test(req.get("authorization") || "")) {
+      return res.status(401).json({
+        success: false,
+        message: "Missing VAPID authorization",
+      });
+    }
+
+    if (req.get("content-encoding") !== "aes128gcm") {
+      return res.status(400).json({
+        success: false,
+        message: "Content-Encoding must be aes128gcm",
+      });
+    }
+
+    const body = await readRawBody(req);
+
+    if (!body) {
+      return res.status(413).json({
+        success: false,
+        message: "Payload too large",
+      });
+    }
+
+    const inbox = mockInboxes.get(token) || [];
+    inbox.push({
+      receivedAt: new Date().toISOString(),
+      authorization: req.get("authorization"),
+      ttl: req.get("ttl"),
+      urgency: req.get("urgency"),
+      body: body.toString("base64"),
+    });
+    mockInboxes.set(token, inbox.slice(-MOCK_INBOX_SIZE));
+
+    res.status(201).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMockPushInbox = (req, res) => {
+  const messages = mockInboxes.get(req.params.token) || [];
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    data: messages,
+  });
+};
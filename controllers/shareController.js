@@ -0,0 +1,294 @@
+import { validationResult } from "express-validator";
+import ShareLink from "../models/ShareLink.js";
+import MoodEntry from "../models/MoodEntry.js";
+import User from "../models/User.js";
+import { groupByDay, summarizeByDay } from "../utils/dailySummary.js";
+import { getUserVocabulary } from "../utils/vocabulary.js";
+import { buildClientUrl } from "../utils/mailer.js";
+import { getMonthKeys, getUserTimeZone } from "../utils/timezone.js";
+
+const toOwnerView = (link) => ({
+  id: link._id,
+  type: link.type,
+  entry: link.entry,
+  month: link.month,
+  includeJournal: link.includeJournal,
+  includeLocation: link.includeLocation,
+  expiresAt: link.expiresAt,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  createdAt: link.createdAt,
+  token: link.token,
+  url: buildClientUrl(`/share/${link.token}`),
+});
+
+// `expiresInDays` wins over `expiresAt`; null for either clears the expiry.
+const resolveExpiry = ({ expiresInDays, expiresAt }) => {
+  if (expiresInDays !== undefined) {
+    return expiresInDays === null
+      ? null
+      : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  }
+  if (expiresAt !== undefined) {
+    return expiresAt === null ? null : new Date(expiresAt);
+  }
+  return undefined;
+};
+
+export const getShareLinks = async (req, res, next) => {
+  try {
+    const links = await ShareLink.find({
+      user: req.user.id,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links.map(toOwnerView),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createShareLink = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { type, entryId, month, includeJournal, includeLocation } = req.body;
+
+    if (type === "entry") {
+      const entry = await MoodEntry.exists({ _id: entryId, user: req.user.id });
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Mood entry not found",
+        });
+      }
+    }
+
+    const link = await ShareLink.create({
+      user: req.user.id,
+      type,
+      entry: type === "entry" ? entryId : undefined,
+      month: type === "month" ? month : undefined,
+      includeJournal,
+      includeLocation,
+      expiresAt: resolveExpiry(req.body) || undefined,
+    });
+
+    if (link.entry) await ShareLink.syncEntryVisibility(link.entry);
+
+    res.status(201).json({
+      success: true,
+      message: "Share link created successfully",
+      data: toOwnerView(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateShareLink = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const link = await ShareLink.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!link || link.isExpired()) {
+      return res.status(404).json({
+        success: false,
+        message: "Share link not found",
+      });
+    }
+
+    if (req.body.includeJournal !== undefined) {
+      link.includeJournal = req.body.includeJournal;
+    }
+    if (req.body.includeLocation !== undefined) {
+      link.includeLocation = req.body.includeLocation;
+    }
+
+    const expiresAt = resolveExpiry(req.body);
+    if (expiresAt !== undefined) link.expiresAt = expiresAt;
+
+    await link.save();
+    if (link.entry) await ShareLink.syncEntryVisibility(link.entry);
+
+    res.status(200).json({
+      success: true,
+      message: "Share link updated successfully",
+      data: toOwnerView(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeShareLink = async (req, res, next) => {
+  try {
+    const link = await ShareLink.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Share link not found",
+      });
+    }
+
+    if (link.entry) await ShareLink.syncEntryVisibility(link.entry);
+
+    res.status(200).json({
+      success: true,
+      message: "Share link revoked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const describeMood = (name, moodsByName) => {
+  const mood = moodsByName.get(name);
+  return {
+    mood: name,
+    emoji: mood?.emoji ?? null,
+    color: mood?.color ?? null,
+  };
+};
+
+const buildSharedEntry = (entry, link, moodsByName) => ({
+  date: entry.localDate,
+  ...describeMood(entry.mood, moodsByName),
+  moodIntensity: entry.moodIntensity,
+  activities: entry.activities,
+  weather: entry.weather ?? null,
+  ...(link.includeJournal && { journalEntry: entry.journalEntry ?? null }),
+  ...(link.includeLocation && { location: entry.location ?? null }),
+});
+
+const buildSharedMonth = async (owner, link, moodsByName) => {
+  const [year, month] = link.month.split("-").map(Number);
+  const { start, end } = getMonthKeys(year, month);
+
+  const entries = await MoodEntry.getEntriesByDateRange(owner._id, start, end);
+  if (link.includeJournal || link.includeLocation) {
+    await MoodEntry.decryptEntries(entries);
+  }
+  const entriesByDay = groupByDay(entries);
+
+  const days = summarizeByDay(entries).map((day) => {
+    const dayEntries = entriesByDay.get(day.date) || [];
+
+    return {
+      date: day.date,
+      ...describeMood(day.mood, moodsByName),
+      averageIntensity: day.averageIntensity,
+      checkInCount: day.checkInCount,
+      activities: day.activities,
+      ...(link.includeJournal && {
+        journalEntries: dayEntries
+          .map((entry) => entry.journalEntry)
+          .filter(Boolean),
+      }),
+      ...(link.includeLocation && {
+        locations: [
+          ...new Set(dayEntries.map((entry) => entry.location).filter(Boolean)),
+        ],
+      }),
+    };
+  });
+
+  return {
+    month: link.month,
+    period: { start, end, timezone: getUserTimeZone(owner) },
+    days,
+  };
+};
+
+// Public view of a share link. Served through optionalAuth: anyone with the
+// token sees the same content, the owner just gets `isOwner` and isn't
+// counted as a view.
+export const viewShareLink = async (req, res, next) => {
+  try {
+    const link = await ShareLink.findOne({ token: req.params.token });
+    const owner =
+      link && !link.isExpired()
+        ? await User.findOne({
+            _id: link.user,
+            isActive: true,
+            deletionScheduledFor: null,
+          })
+        : null;
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: "Share link not found or expired",
+      });
+    }
+
+    const isOwner = !!req.user && String(req.user._id) === String(owner._id);
+    const { moodsByName } = await getUserVocabulary(owner._id);
+
+    let content;
+    if (link.type === "entry") {
+      const entry = await MoodEntry.findOne({
+        _id: link.entry,
+        user: owner._id,
+      });
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Share link not found or expired",
+        });
+      }
+      await MoodEntry.decryptEntries([entry]);
+      content = buildSharedEntry(entry, link, moodsByName);
+    } else {
+      content = await buildSharedMonth(owner, link, moodsByName);
+    }
+
+    if (!isOwner) {
+      await ShareLink.updateOne(
+        { _id: link._id },
+        { $inc: { viewCount: 1 }, lastViewedAt: new Date() }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        type: link.type,
+        sharedBy: owner.profile?.firstName || owner.username,
+        expiresAt: link.expiresAt ?? null,
+        isOwner,
+        content,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,210 @@
+import { validationResult } from "express-validator";
+import MoodEntry from "../models/MoodEntry.js";
+
+// Tags are encrypted at rest, so counting happens here on decrypted entries
+// rather than in an aggregation. `lastUsed` is taken from `lastUsedField`.
+const countUserTags = async (userId, lastUsedField, filter = () => true) => {
+  const entries = await MoodEntry.find({ user: userId })
+    .select("user tags encrypted.tags localDate date")
+    .lean();
+  await MoodEntry.decryptEntries(entries);
+
+  const tags = new Map();
+  for (const entry of entries) {
+    for (const tag of new Set(entry.tags || [])) {
+      if (!filter(tag)) continue;
+
+      const stats = tags.get(tag) || { tag, count: 0, lastUsed: null };
+      stats.count += 1;
+      if (stats.lastUsed === null || entry[lastUsedField] > stats.lastUsed) {
+        stats.lastUsed = entry[lastUsedField];
+      }
+      tags.set(tag, stats);
+    }
+  }
+
+  return [...tags.values()];
+};
+
+// Rewrites the tags of every entry carrying one of `tags`; `update` gets an
+// entry's tag list and returns the new one. Returns how many entries changed.
+const updateTaggedEntries = async (userId, tags, update) => {
+  const entries = await MoodEntry.find(await MoodEntry.tagFilter(userId, tags));
+  await MoodEntry.decryptEntries(entries);
+
+  let modified = 0;
+  for (const entry of entries) {
+    const updated = [...new Set(update(entry.tags))];
+    if (updated.join("\n") === entry.tags.join("\n")) continue;
+
+    // Only tags change, and new tag names were validated by the route.
+    entry.tags = updated;
+    await entry.save({ validateBeforeSave: false });
+    modified += 1;
+  }
+
+  return modified;
+};
+
+// Renames `from` to `to` on every entry. Entries that already carry `to` just
+// drop `from`, so no entry ends up with the same tag twice.
+const renameTagInEntries = (userId, from, to) =>
+  updateTaggedEntries(userId, [from], (tags) =>
+    tags.map((tag) => (tag === from ? to : tag))
+  );
+
+export const getTags = async (req, res, next) => {
+  try {
+    const tags = (await countUserTags(req.user.id, "localDate")).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+    );
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Prefix matches ranked by how recently, then how often, the tag was used.
+export const getTagSuggestions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { q = "" } = req.query;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const prefix = q.toLowerCase();
+    const suggestions = (
+      await countUserTags(req.user.id, "date", (tag) =>
+        tag.toLowerCase().startsWith(prefix)
+      )
+    )
+      .sort((a, b) => b.lastUsed - a.lastUsed || b.count - a.count)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      data: suggestions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const renameTag = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { tag } = req.params;
+    const { name } = req.body;
+
+    if (tag === name) {
+      return res.status(400).json({
+        success: false,
+        message: "New tag name must be different",
+      });
+    }
+
+    const inUse = await MoodEntry.exists(
+      await MoodEntry.tagFilter(req.user.id, [tag])
+    );
+
+    if (!inUse) {
+      return res.status(404).json({
+        success: false,
+        message: `Tag '${tag}' not found`,
+      });
+    }
+
+    const affectedEntries = await renameTagInEntries(req.user.id, tag, name);
+
+    res.status(200).json({
+      success: true,
+      message: `Tag '${tag}' renamed to '${name}'`,
+      affectedEntries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const mergeTags = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { target } = req.body;
+    const sources = [...new Set(req.body.sources)].filter(
+      (source) => source !== target
+    );
+
+    if (sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide at least one source tag different from the target",
+      });
+    }
+
+    let affectedEntries = 0;
+    for (const source of sources) {
+      affectedEntries += await renameTagInEntries(req.user.id, source, target);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${sources.length} tag(s) into '${target}'`,
+      affectedEntries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteTag = async (req, res, next) => {
+  try {
+    const affectedEntries = await updateTaggedEntries(
+      req.user.id,
+      [req.params.tag],
+      (tags) => tags.filter((tag) => tag !== req.params.tag)
+    );
+
+    if (affectedEntries === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Tag '${req.params.tag}' not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Tag '${req.params.tag}' deleted`,
+      affectedEntries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,361 @@
+import { validationResult } from "express-validator";
+import MoodEntry from "../models/MoodEntry.js";
+import CustomMood from "../models/CustomMood.js";
+import CustomActivity from "../models/CustomActivity.js";
+import Goal from "../models/Goal.js";
+import { getUserVocabulary } from "../utils/vocabulary.js";
+import {
+  DEFAULT_MOOD_NAMES,
+  DEFAULT_ACTIVITY_NAMES,
+} from "../config/vocabulary.js";
+
+const normalizeName = (name) => String(name).trim().toLowerCase();
+
+export const getVocabulary = async (req, res, next) => {
+  try {
+    const { moods, activities } = await getUserVocabulary(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { moods, activities },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createMood = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const name = normalizeName(req.body.name);
+
+    if (DEFAULT_MOOD_NAMES.includes(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `'${name}' is already a built-in mood`,
+      });
+    }
+
+    const mood = await CustomMood.create({
+      user: req.user.id,
+      name,
+      valence: req.body.valence,
+      color: req.body.color,
+      emoji: req.body.emoji,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Custom mood created successfully",
+      data: mood,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateMood = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const mood = await CustomMood.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!mood) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom mood not found",
+      });
+    }
+
+    const previousName = mood.name;
+    const name =
+      req.body.name !== undefined ? normalizeName(req.body.name) : mood.name;
+
+    if (name !== previousName && DEFAULT_MOOD_NAMES.includes(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `'${name}' is already a built-in mood`,
+      });
+    }
+
+    mood.name = name;
+    if (req.body.valence !== undefined) mood.valence = req.body.valence;
+    if (req.body.color !== undefined) mood.color = req.body.color;
+    if (req.body.emoji !== undefined) mood.emoji = req.body.emoji;
+    await mood.save();
+
+    // Renaming relabels every entry that used the old name.
+    if (name !== previousName) {
+      await MoodEntry.updateMany(
+        { user: req.user.id, mood: previousName },
+        { $set: { mood: name } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Custom mood updated successfully",
+      data: mood,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteMood = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const mood = await CustomMood.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!mood) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom mood not found",
+      });
+    }
+
+    const usage = await MoodEntry.countDocuments({
+      user: req.user.id,
+      mood: mood.name,
+    });
+    const { replaceWith } = req.query;
+
+    if (usage > 0) {
+      const { moodNames } = await getUserVocabulary(req.user.id);
+      const replacement = replaceWith && normalizeName(replaceWith);
+
+      if (
+        !replacement ||
+        replacement === mood.name ||
+        !moodNames.includes(replacement)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Mood '${mood.name}' is used by ${usage} entries. Pass replaceWith=<mood> to reassign them.`,
+          usage,
+        });
+      }
+
+      await MoodEntry.updateMany(
+        { user: req.user.id, mood: mood.name },
+        { $set: { mood: replacement } }
+      );
+    }
+
+    await mood.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Custom mood deleted successfully",
+      reassigned: usage,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createActivity = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const name = normalizeName(req.body.name);
+
+    if (DEFAULT_ACTIVITY_NAMES.includes(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `'${name}' is already a built-in activity`,
+      });
+    }
+
+    const activity = await CustomActivity.create({
+      user: req.user.id,
+      name,
+      category: req.body.category,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Custom activity created successfully",
+      data: activity,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const replaceActivityInEntries = (userId, from, to) =>
+  MoodEntry.updateMany(
+    { user: userId, activities: from },
+    { $set: { "activities.$[item]": to } },
+    { arrayFilters: [{ item: from }] }
+  );
+
+export const updateActivity = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const activity = await CustomActivity.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom activity not found",
+      });
+    }
+
+    const previousName = activity.name;
+    const name =
+      req.body.name !== undefined
+        ? normalizeName(req.body.name)
+        : activity.name;
+
+    if (name !== previousName && DEFAULT_ACTIVITY_NAMES.includes(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `'${name}' is already a built-in activity`,
+      });
+    }
+
+    activity.name = name;
+    if (req.body.category !== undefined) activity.category = req.body.category;
+    await activity.save();
+
+    if (name !== previousName) {
+      await replaceActivityInEntries(req.user.id, previousName, name);
+      await Goal.reassignActivity(req.user.id, previousName, name);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Custom activity updated successfully",
+      data: activity,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Activities are optional on an entry, so a deleted one is simply removed
+// from entries unless the caller asks to reassign it.
+export const deleteActivity = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const activity = await CustomActivity.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom activity not found",
+      });
+    }
+
+    const { replaceWith } = req.query;
+    let result;
+
+    if (replaceWith) {
+      const replacement = normalizeName(replaceWith);
+      const { activityNames } = await getUserVocabulary(req.user.id);
+
+      if (
+        replacement === activity.name ||
+        !activityNames.includes(replacement)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown replacement activity '${replacement}'`,
+        });
+      }
+
+      // Entries that already have the replacement just lose the old one.
+      await MoodEntry.updateMany(
+        {
+          user: req.user.id,
+          activities: { $all: [activity.name, replacement] },
+        },
+        { $pull: { activities: activity.name } }
+      );
+      result = await replaceActivityInEntries(
+        req.user.id,
+        activity.name,
+        replacement
+      );
+    } else {
+      result = await MoodEntry.updateMany(
+        { user: req.user.id, activities: activity.name },
+        { $pull: { activities: activity.name } }
+      );
+    }
+
+    await Goal.reassignActivity(
+      req.user.id,
+      activity.name,
+      replaceWith ? normalizeName(replaceWith) : null
+    );
+    await activity.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Custom activity deleted successfully",
+      affectedEntries: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,87 @@
+import User from "../models/User.js";
+import MoodEntry from "../models/MoodEntry.js";
+import Session from "../models/Session.js";
+import CustomMood from "../models/CustomMood.js";
+import CustomActivity from "../models/CustomActivity.js";
+import ReminderLog from "../models/ReminderLog.js";
+import PushSubscription from "../models/PushSubscription.js";
+import Goal from "../models/Goal.js";
+import ShareLink from "../models/ShareLink.js";
+import SupportContact from "../models/SupportContact.js";
+import ClinicianLink, { ClinicianInviteCode } from "../models/ClinicianLink.js";
+import ClinicianAccessLog from "../models/ClinicianAccessLog.js";
+import LowMoodEvent from "../models/LowMoodEvent.js";
+import DataKey from "../models/DataKey.js";
+
+// Every collection holding data that belongs to a user, keyed by its `user`
+// field. Anything new that stores per-user data must be added here so account
+// deletion stays complete.
+const USER_OWNED_MODELS = [
+  MoodEntry,
+  Session,
+  CustomMood,
+  CustomActivity,
+  ReminderLog,
+  PushSubscription,
+  Goal,
+  ShareLink,
+  SupportContact,
+  ClinicianLink,
+  ClinicianAccessLog,
+  LowMoodEvent,
+  DataKey,
+];
+
+export const getDeletionGraceDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isNaN(days) ? 30 : Math.max(days, 0);
+};
+
+export const purgeUserData = async (userId) => {
+  for (const Model of USER_OWNED_MODELS) {
+    await Model.deleteMany({ user: userId });
+  }
+
+  // Access the user holds to other people's data.
+  await SupportContact.deleteMany({ contact: userId });
+  await ClinicianLink.deleteMany({ clinician: userId });
+  await ClinicianInviteCode.deleteMany({ clinician: userId });
+
+  await User.deleteOne({ _id: userId });
+};
+
+export const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+  }).select("_id");
+
+  for (const { _id } of dueUsers) {
+    try {
+      await purgeUserData(_id);
+    } catch (error) {
+      console.error(`Account purge failed for ${_id}:`, error.message);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+export const startAccountPurgeJob = () => {
+  const intervalMinutes =
+    parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60;
+
+  const run = async () => {
+    try {
+      const purged = await purgeDueAccounts();
+      if (purged > 0) console.log(`🗑️  Purged ${purged} deleted account(s)`);
+    } catch (error) {
+      console.error("Account purge job error:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
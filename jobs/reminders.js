@@ -0,0 +1,146 @@
+import User from "../models/User.js";
+import MoodEntry from "../models/MoodEntry.js";
+import ReminderLog from "../models/ReminderLog.js";
+import { notify, getEnabledChannels } from "../utils/notifier.js";
+import { buildClientUrl } from "../utils/mailer.js";
+import { isEmailVerificationRequired } from "../middleware/auth.js";
+import { shouldRunJobs } from "../utils/jobs.js";
+import {
+  getUserTimeZone,
+  toDateKey,
+  toTimeOfDay,
+  addDays,
+} from "../utils/timezone.js";
+
+const toMinutes = (timeOfDay) => {
+  const [hours, minutes] = timeOfDay.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// A reminder is due from the user's reminderTime until REMINDER_CATCH_UP_MINUTES
+// later, so a restart or a slow tick doesn't lose it, but nobody gets their
+// 08:00 reminder at 22:00 either. Returns the local day the due reminder
+// belongs to, which is yesterday when a late reminder's window runs past
+// midnight, or null when none is due.
+export const getDueReminderDate = (user, now = new Date()) => {
+  const timeZone = getUserTimeZone(user);
+  const catchUpMinutes = parseInt(process.env.REMINDER_CATCH_UP_MINUTES) || 120;
+  const today = toDateKey(now, timeZone);
+
+  const elapsed =
+    toMinutes(toTimeOfDay(now, timeZone)) -
+    toMinutes(user.settings?.reminderTime || "20:00");
+
+  if (elapsed >= 0) return elapsed <= catchUpMinutes ? today : null;
+  return elapsed + MINUTES_PER_DAY <= catchUpMinutes
+    ? addDays(today, -1)
+    : null;
+};
+
+const buildReminder = (user) => ({
+  title: "How are you feeling today?",
+  body:
+    user.streak?.current > 0
+      ? `Log today's mood to keep your ${user.streak.current}-day streak going.`
+      : "Take a moment to log today's mood.",
+  url: buildClientUrl("/"),
+});
+
+const sendReminder = async (user, localDate) => {
+  const log = await ReminderLog.claim(user._id, localDate);
+  if (!log) return null;
+
+  const skipped = [];
+  let channels = getEnabledChannels();
+
+  if (
+    channels.includes("email") &&
+    isEmailVerificationRequired("reminders") &&
+    !user.emailVerified
+  ) {
+    channels = channels.filter((channel) => channel !== "email");
+    skipped.push({
+      channel: "email",
+      status: "skipped",
+      reason: "Email address not verified",
+    });
+  }
+
+  let deliveries;
+  try {
+    deliveries = [
+      ...skipped,
+      ...(await notify(user, buildReminder(user), channels)),
+    ];
+  } catch (error) {
+    // Leave the claim retryable rather than stuck in "sending".
+    log.status = "failed";
+    await log.save();
+    throw error;
+  }
+
+  if (deliveries.some((delivery) => delivery.status === "sent")) {
+    log.status = "sent";
+    log.sentAt = new Date();
+  } else if (deliveries.some((delivery) => delivery.status === "failed")) {
+    log.status = "failed";
+  } else {
+    log.status = "skipped";
+  }
+  log.deliveries = deliveries;
+  await log.save();
+
+  return log;
+};
+
+export const sendDueReminders = async (now = new Date()) => {
+  const cursor = User.find({
+    isActive: true,
+    "settings.dailyReminder": true,
+    deletionScheduledFor: null,
+  })
+    .select("username email emailVerified settings streak")
+    .cursor();
+
+  let sent = 0;
+
+  for await (const user of cursor) {
+    try {
+      const localDate = getDueReminderDate(user, now);
+      if (!localDate) continue;
+
+      const logged = await MoodEntry.exists({ user: user._id, localDate });
+      if (logged) continue;
+
+      const log = await sendReminder(user, localDate);
+      if (log?.status === "sent") sent += 1;
+    } catch (error) {
+      console.error(`Reminder failed for ${user._id}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+export const startReminderJob = () => {
+  if (!shouldRunJobs()) return null;
+
+  const intervalSeconds = parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 60;
+
+  const run = async () => {
+    try {
+      const sent = await sendDueReminders();
+      if (sent > 0) console.log(`🔔 Sent ${sent} daily reminder(s)`);
+    } catch (error) {
+      console.error("Reminder job error:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+
+  return timer;
+};
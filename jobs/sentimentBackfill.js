@@ -0,0 +1,93 @@
+import MoodEntry from "../models/MoodEntry.js";
+import { analyzeSentiment } from "../utils/sentiment.js";
+import { SENTIMENT_VERSION } from "../config/sentimentLexicon.js";
+import { shouldRunJobs } from "../utils/jobs.js";
+
+// Entries with journal text, encrypted or not, that were never scored or were
+// scored by an older lexicon.
+const STALE_FILTER = {
+  $and: [
+    {
+      $or: [
+        { journalEntry: { $exists: true, $nin: [null, ""] } },
+        { "encrypted.journalEntry": { $exists: true } },
+      ],
+    },
+    {
+      $or: [
+        { sentiment: { $exists: false } },
+        { "sentiment.version": { $ne: SENTIMENT_VERSION } },
+      ],
+    },
+  ],
+};
+
+export const backfillSentiment = async ({ batchSize = 500 } = {}) => {
+  let updated = 0;
+  let lastId;
+
+  for (;;) {
+    const entries = await MoodEntry.find({
+      ...STALE_FILTER,
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .sort({ _id: 1 })
+      .select("user journalEntry encrypted.journalEntry")
+      .limit(batchSize)
+      .lean();
+    if (entries.length === 0) break;
+    lastId = entries[entries.length - 1]._id;
+
+    const operations = [];
+    for (const entry of entries) {
+      // An entry that can't be decrypted (e.g. its data key is gone) is
+      // left unscored rather than stopping every entry after it.
+      try {
+        await MoodEntry.decryptEntries([entry]);
+      } catch (error) {
+        console.error(
+          `Sentiment backfill skipped entry ${entry._id}:`,
+          error.message
+        );
+        continue;
+      }
+
+      const sentiment = analyzeSentiment(entry.journalEntry);
+      operations.push({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: sentiment
+            ? { $set: { sentiment } }
+            : { $unset: { sentiment: 1 } },
+        },
+      });
+    }
+
+    if (operations.length > 0) {
+      await MoodEntry.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+  }
+
+  return updated;
+};
+
+// Runs once shortly after startup, so bumping SENTIMENT_VERSION re-scores old
+// entries on the next deploy.
+export const startSentimentBackfillJob = () => {
+  if (!shouldRunJobs()) return null;
+
+  const run = async () => {
+    try {
+      const updated = await backfillSentiment();
+      if (updated > 0) console.log(`💬 Scored sentiment on ${updated} entries`);
+    } catch (error) {
+      console.error("Sentiment backfill job error:", error);
+    }
+  };
+
+  const timer = setTimeout(run, 10 * 1000);
+  timer.unref();
+
+  return timer;
+};
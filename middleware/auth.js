@@ -1,12 +1,37 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 
-export const protect = async (req, res, next) => {
-  let token;
-
+const getBearerToken = (req) => {
   if (req.headers.authorization?.startsWith("Bearer")) {
-    token = req.headers.authorization.split(" ")[1];
+    return req.headers.authorization.split(" ")[1];
   }
+  return undefined;
+};
+
+// Resolves the user behind an access token, or null when the token has been
+// revoked (session gone, password changed since it was issued, inactive user).
+const resolveTokenUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Single-purpose tokens (2FA challenges, email links) are never access
+  // tokens, and tokens without a session (issued before sessions existed)
+  // couldn't be revoked by logging out.
+  if (decoded.purpose || !decoded.sid) return null;
+
+  const user = await User.findById(decoded.id).select("-password");
+
+  if (!user || !user.isActive) return null;
+  if (user.changedPasswordAfter(decoded.iat)) return null;
+
+  const session = await Session.exists({ _id: decoded.sid, user: user._id });
+  if (!session) return null;
+
+  return { user, sessionId: decoded.sid };
+};
+
+export const protect = async (req, res, next) => {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({
@@ -16,18 +41,17 @@ export const protect = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const result = await resolveTokenUser(token);
 
-    const user = await User.findById(decoded.id).select("-password");
-
-    if (!user || !user.isActive) {
+    if (!result) {
       return res.status(401).json({
         success: false,
-        message: "Not authorized: User not found or inactive",
+        message: "Not authorized: User not found, inactive or session revoked",
       });
     }
 
-    req.user = user;
+    req.user = result.user;
+    req.sessionId = result.sessionId;
     next();
   } catch (err) {
     console.error("Auth error:", err.message);
@@ -39,20 +63,16 @@ export const protect = async (req, res, next) => {
 };
 
 export const optionalAuth = async (req, res, next) => {
-  let token;
-
-  if (req.headers.authorization?.startsWith("Bearer")) {
-    token = req.headers.authorization.split(" ")[1];
-  }
+  const token = getBearerToken(req);
 
   if (!token) return next();
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select("-password");
+    const result = await resolveTokenUser(token);
 
-    if (user && user.isActive) {
-      req.user = user;
+    if (result) {
+      req.user = result.user;
+      req.sessionId = result.sessionId;
     }
   } catch (err) {
     console.log("Optional auth: Invalid token, continuing as guest");
@@ -80,3 +100,39 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+// Features listed in EMAIL_VERIFICATION_REQUIRED_FOR (comma separated) are
+// only available once the user has confirmed their email address. "sharing"
+// guards share links; "reminders" guards turning on daily reminders and
+// registering push devices, and the reminder job won't email unverified
+// addresses.
+const getVerificationRequiredFeatures = () =>
+  (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || "reminders,sharing")
+    .split(",")
+    .map((feature) => feature.trim())
+    .filter(Boolean);
+
+export const isEmailVerificationRequired = (feature) => {
+  const required = getVerificationRequiredFeatures();
+  return required.includes("*") || required.includes(feature);
+};
+
+export const requireVerifiedEmail = (feature) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized: No user found",
+      });
+    }
+
+    if (isEmailVerificationRequired(feature) && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address to use this feature",
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// One record per time a clinician looked at a patient's data. `user` is the
+// patient, so the log is theirs to read and goes with their account.
+const clinicianAccessLogSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    clinician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Clinician reference is required"],
+    },
+    action: {
+      type: String,
+      enum: ["dashboard", "patient-report"],
+      required: true,
+    },
+    range: {
+      start: String,
+      end: String,
+    },
+    includedJournal: {
+      type: Boolean,
+      default: false,
+    },
+    ip: String,
+    userAgent: {
+      type: String,
+      maxlength: [300, "User agent cannot exceed 300 characters"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+clinicianAccessLogSchema.index({ user: 1, createdAt: -1 });
+
+const ClinicianAccessLog = mongoose.model(
+  "ClinicianAccessLog",
+  clinicianAccessLogSchema
+);
+
+export default ClinicianAccessLog;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Read-only access a patient (`user`) grants a clinician by redeeming one of
+// the clinician's invite codes. Journal text stays private unless the
+// patient turns on `includeJournal`.
+const clinicianLinkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    clinician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Clinician reference is required"],
+    },
+    includeJournal: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+clinicianLinkSchema.index({ user: 1, clinician: 1 }, { unique: true });
+clinicianLinkSchema.index({ clinician: 1 });
+
+const ClinicianLink = mongoose.model("ClinicianLink", clinicianLinkSchema);
+
+// Short, single-use codes a clinician hands to a patient. Ambiguous
+// characters (0/O, 1/I) are left out so codes can be read aloud.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export const generateInviteCode = (length = 8) =>
+  Array.from(
+    crypto.randomBytes(length),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join("");
+
+const clinicianInviteCodeSchema = new mongoose.Schema(
+  {
+    clinician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Clinician reference is required"],
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => generateInviteCode(),
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Label cannot exceed 100 characters"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+clinicianInviteCodeSchema.index({ clinician: 1, createdAt: -1 });
+clinicianInviteCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ClinicianInviteCode = mongoose.model(
+  "ClinicianInviteCode",
+  clinicianInviteCodeSchema
+);
+
+export default ClinicianLink;
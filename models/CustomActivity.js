@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { ACTIVITY_CATEGORIES } from "../config/vocabulary.js";
+
+const customActivitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Activity name is required"],
+      trim: true,
+      lowercase: true,
+      maxlength: [30, "Activity name cannot exceed 30 characters"],
+      match: [
+        /^[a-z0-9][a-z0-9 -]*$/,
+        "Activity name can only contain letters, numbers, spaces and hyphens",
+      ],
+    },
+    category: {
+      type: String,
+      enum: {
+        values: ACTIVITY_CATEGORIES,
+        message: `Category must be one of: ${ACTIVITY_CATEGORIES.join(", ")}`,
+      },
+      default: "other",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+customActivitySchema.index({ user: 1, name: 1 }, { unique: true });
+
+const CustomActivity = mongoose.model("CustomActivity", customActivitySchema);
+
+export default CustomActivity;
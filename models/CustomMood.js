@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const customMoodSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Mood name is required"],
+      trim: true,
+      lowercase: true,
+      maxlength: [30, "Mood name cannot exceed 30 characters"],
+      match: [
+        /^[a-z0-9][a-z0-9 -]*$/,
+        "Mood name can only contain letters, numbers, spaces and hyphens",
+      ],
+    },
+    valence: {
+      type: Number,
+      required: [true, "Valence is required"],
+      min: [-5, "Valence must be at least -5"],
+      max: [5, "Valence cannot exceed 5"],
+    },
+    color: {
+      type: String,
+      default: "#9e9e9e",
+      match: [/^#[0-9a-fA-F]{6}$/, "Color must be a hex value like #ffcc00"],
+    },
+    emoji: {
+      type: String,
+      trim: true,
+      maxlength: [16, "Emoji cannot exceed 16 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+customMoodSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const CustomMood = mongoose.model("CustomMood", customMoodSchema);
+
+export default CustomMood;
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import {
+  generateKey,
+  wrapDataKey,
+  unwrapDataKey,
+  deriveIndexKey,
+  getMasterKeys,
+} from "../utils/fieldEncryption.js";
+
+// A user's data encryption keys, stored wrapped by a master key (see
+// utils/fieldEncryption.js). The highest version encrypts; older versions
+// stay until nothing encrypted with them is left. Deleting a user's keys makes
+// their encrypted data unreadable, even in backups.
+const dataKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    version: {
+      type: Number,
+      required: [true, "Version is required"],
+      min: 1,
+    },
+    masterKeyId: {
+      type: String,
+      required: [true, "Master key id is required"],
+    },
+    wrappedKey: {
+      type: String,
+      required: [true, "Wrapped key is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataKeySchema.index({ user: 1, version: 1 }, { unique: true });
+
+// Unwrapped keys are kept in memory for DATA_KEY_CACHE_SECONDS (default 300)
+// so reading a page of entries doesn't unwrap the same key over and over.
+const keyCache = new Map();
+
+const getCacheMilliseconds = () => {
+  const seconds = parseInt(process.env.DATA_KEY_CACHE_SECONDS);
+  return (Number.isNaN(seconds) ? 300 : seconds) * 1000;
+};
+
+const toKeyring = (documents) => {
+  const keys = new Map();
+  for (const document of documents) {
+    const key = unwrapDataKey(document);
+    keys.set(document.version, { key, indexKey: deriveIndexKey(key) });
+  }
+
+  return { activeVersion: Math.max(...keys.keys()), keys };
+};
+
+// Returns { activeVersion, keys }, where keys maps each version to its key and
+// blind index key. The first call for a user creates their first key.
+// `refresh` skips the cache, e.g. when another server rotated the key.
+dataKeySchema.statics.getUserKeys = async function (
+  userId,
+  { refresh = false } = {}
+) {
+  const cacheKey = String(userId);
+  const cached = keyCache.get(cacheKey);
+  if (!refresh && cached && cached.expiresAt > Date.now()) {
+    return cached.keyring;
+  }
+
+  let documents = await this.find({ user: userId }).lean();
+
+  if (documents.length === 0) {
+    try {
+      documents = [
+        await this.create({
+          user: userId,
+          version: 1,
+          ...wrapDataKey(generateKey()),
+        }),
+      ];
+    } catch (error) {
+      // Another request created it first.
+      if (error.code !== 11000) throw error;
+      documents = await this.find({ user: userId }).lean();
+    }
+  }
+
+  const keyring = toKeyring(documents);
+  keyCache.set(cacheKey, {
+    keyring,
+    expiresAt: Date.now() + getCacheMilliseconds(),
+  });
+
+  return keyring;
+};
+
+// Adds a new key version, which encrypts from now on. Returns the version.
+dataKeySchema.statics.rotate = async function (userId) {
+  const latest = await this.findOne({ user: userId }).sort({ version: -1 });
+
+  const { version } = await this.create({
+    user: userId,
+    version: (latest?.version || 0) + 1,
+    ...wrapDataKey(generateKey()),
+  });
+
+  keyCache.delete(String(userId));
+  return version;
+};
+
+// Re-wraps every key not wrapped by the active master key, so older master
+// keys can be removed from config. Returns how many keys were rewrapped.
+dataKeySchema.statics.rewrapAll = async function () {
+  const { activeId } = getMasterKeys();
+  if (!activeId) throw new Error("ENCRYPTION_MASTER_KEYS is not configured");
+
+  let rewrapped = 0;
+  const cursor = this.find({ masterKeyId: { $ne: activeId } }).cursor();
+
+  for await (const document of cursor) {
+    document.set(wrapDataKey(unwrapDataKey(document)));
+    await document.save();
+    rewrapped += 1;
+  }
+
+  return rewrapped;
+};
+
+dataKeySchema.statics.deleteVersions = async function (userId, versions) {
+  keyCache.delete(String(userId));
+  const result = await this.deleteMany({
+    user: userId,
+    version: { $in: versions },
+  });
+  return result.deletedCount;
+};
+
+const DataKey = mongoose.model("DataKey", dataKeySchema);
+
+export default DataKey;
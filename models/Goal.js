@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+export const GOAL_PERIODS = ["week", "month"];
+
+// "Do <activity> on <targetCount> days per <period>". Progress counts
+// distinct days the activity was logged, so two check-ins mentioning
+// exercise on the same day still count once.
+const goalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    activity: {
+      type: String,
+      required: [true, "Activity is required"],
+      trim: true,
+      lowercase: true,
+      maxlength: [30, "Activity cannot exceed 30 characters"],
+    },
+    targetCount: {
+      type: Number,
+      required: [true, "Target count is required"],
+      min: [1, "Target count must be at least 1"],
+      max: [31, "Target count cannot exceed 31"],
+    },
+    period: {
+      type: String,
+      enum: {
+        values: GOAL_PERIODS,
+        message: `Period must be one of: ${GOAL_PERIODS.join(", ")}`,
+      },
+      default: "week",
+    },
+    // Local day the goal was set; history starts with the period holding it.
+    startDate: {
+      type: String,
+      required: [true, "Start date is required"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Start date must be YYYY-MM-DD"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+goalSchema.index({ user: 1, activity: 1, period: 1 }, { unique: true });
+
+goalSchema.pre("validate", function (next) {
+  if (this.period === "week" && this.targetCount > 7) {
+    this.invalidate("targetCount", "A weekly target cannot exceed 7 days");
+  }
+  next();
+});
+
+// Moves goals to another activity when one is renamed or merged away. A goal
+// that would clash with one the user already has for the new activity is
+// dropped instead.
+goalSchema.statics.reassignActivity = async function (userId, from, to) {
+  const goals = await this.find({ user: userId, activity: from });
+
+  for (const goal of goals) {
+    const clash =
+      to &&
+      (await this.exists({ user: userId, activity: to, period: goal.period }));
+
+    if (!to || clash) {
+      await goal.deleteOne();
+    } else {
+      goal.activity = to;
+      await goal.save();
+    }
+  }
+};
+
+const Goal = mongoose.model("Goal", goalSchema);
+
+export default Goal;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// A low-mood rule firing for a user, along with the region whose helplines
+// were shown. Also used as the cooldown record for each rule.
+const lowMoodEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    rule: {
+      type: String,
+      required: [true, "Rule is required"],
+    },
+    localDate: {
+      type: String,
+      required: [true, "Local date is required"],
+    },
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MoodEntry",
+    },
+    details: mongoose.Schema.Types.Mixed,
+    region: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+lowMoodEventSchema.index({ user: 1, rule: 1, createdAt: -1 });
+
+const LowMoodEvent = mongoose.model("LowMoodEvent", lowMoodEventSchema);
+
+export default LowMoodEvent;
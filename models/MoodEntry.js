@@ -1,4 +1,35 @@
 import mongoose from "mongoose";
+import {
+  DEFAULT_TIMEZONE,
+  toDateKey,
+  getDayOfWeek,
+  getTodayKey,
+  addDays,
+} from "../utils/timezone.js";
+import { analyzeSentiment } from "../utils/sentiment.js";
+import DataKey from "./DataKey.js";
+import {
+  encryptEntryFields,
+  restoreEntryFields,
+  decryptEntries,
+  getTagIndexValues,
+  needsReencryption,
+} from "../utils/entryEncryption.js";
+
+// Derived from journalEntry, never set by clients (see utils/sentiment.js).
+// Only the score and emotion names are kept: matched words would leak the
+// journal text around its encryption.
+const sentimentSchema = new mongoose.Schema(
+  {
+    // -1 (negative) to 1 (positive).
+    score: { type: Number, min: -1, max: 1 },
+    emotions: [String],
+    // Lexicon version the score came from; the backfill job re-scores older ones.
+    version: Number,
+    analyzedAt: Date,
+  },
+  { _id: false }
+);
 
 const moodEntrySchema = new mongoose.Schema(
   {
@@ -12,22 +43,21 @@ const moodEntrySchema = new mongoose.Schema(
       required: [true, "Date is required"],
       default: Date.now,
     },
+    // Calendar day of the entry in the owner's timezone ("YYYY-MM-DD"). All
+    // per-day logic (duplicates, calendar, streaks) uses this, not `date`.
+    localDate: {
+      type: String,
+      required: [true, "Local date is required"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Local date must be in YYYY-MM-DD format"],
+    },
+    // Built-in or one of the user's custom moods; checked against the user's
+    // vocabulary on the way in (see utils/vocabulary.js).
     mood: {
       type: String,
       required: [true, "Mood is required"],
-      enum: {
-        values: [
-          "excited",
-          "happy",
-          "neutral",
-          "sad",
-          "anxious",
-          "angry",
-          "tired",
-        ],
-        message:
-          "Mood must be one of: excited, happy, neutral, sad, anxious, angry, tired",
-      },
+      trim: true,
+      lowercase: true,
+      maxlength: [30, "Mood cannot exceed 30 characters"],
     },
     moodIntensity: {
       type: Number,
@@ -51,22 +81,9 @@ const moodEntrySchema = new mongoose.Schema(
     activities: [
       {
         type: String,
-        enum: [
-          "exercise",
-          "work",
-          "social",
-          "family",
-          "hobby",
-          "rest",
-          "learning",
-          "nature",
-          "shopping",
-          "cleaning",
-          "cooking",
-          "travel",
-          "entertainment",
-          "self-care",
-        ],
+        trim: true,
+        lowercase: true,
+        maxlength: [30, "Activity cannot exceed 30 characters"],
       },
     ],
     sleepHours: {
@@ -87,51 +104,95 @@ const moodEntrySchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    sentiment: sentimentSchema,
+    // Ciphertext of journalEntry, location and tags; the plaintext fields
+    // above stay empty in the database (see utils/entryEncryption.js).
+    encrypted: {
+      journalEntry: String,
+      location: String,
+      tags: String,
+    },
+    // Blind index hash of each tag, for finding entries by tag.
+    tagIndex: [String],
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.encrypted;
+        delete ret.tagIndex;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
 
-moodEntrySchema.index({ user: 1, date: 1 }, { unique: true });
+moodEntrySchema.index({ user: 1, localDate: 1, date: 1 });
+moodEntrySchema.index({ user: 1, date: 1 });
 
 moodEntrySchema.index({ user: 1, createdAt: -1 });
 moodEntrySchema.index({ mood: 1 });
+moodEntrySchema.index({ user: 1, tags: 1 });
+moodEntrySchema.index({ user: 1, tagIndex: 1 });
 moodEntrySchema.index({ date: 1 });
 
+// Unique indexes from when each user could only log one entry per day.
+// syncIndexes doesn't run on startup, so scripts/backfillLocalDates.js has
+// to drop them before a second entry on the same day can be saved.
+const LEGACY_UNIQUE_INDEXES = ["user_1_date_1", "user_1_localDate_1"];
+
+moodEntrySchema.statics.getLegacyUniqueIndexes = async function () {
+  const indexes = await this.collection.indexes().catch((error) => {
+    // A fresh database has no collection, and so no indexes, yet.
+    if (error.codeName === "NamespaceNotFound") return [];
+    throw error;
+  });
+
+  return indexes
+    .filter(
+      (index) => index.unique && LEGACY_UNIQUE_INDEXES.includes(index.name)
+    )
+    .map((index) => index.name);
+};
+
 moodEntrySchema.virtual("formattedDate").get(function () {
-  return this.date.toISOString().split("T")[0];
+  return this.localDate || this.date.toISOString().split("T")[0];
 });
 
 moodEntrySchema.virtual("dayOfWeek").get(function () {
-  return this.date.getDay();
+  return this.localDate ? getDayOfWeek(this.localDate) : this.date.getDay();
 });
 
+// Both bounds are inclusive "YYYY-MM-DD" keys.
 moodEntrySchema.statics.getEntriesByDateRange = function (
   userId,
-  startDate,
-  endDate
+  startKey,
+  endKey
 ) {
   return this.find({
     user: userId,
-    date: {
-      $gte: startDate,
-      $lte: endDate,
+    localDate: {
+      $gte: startKey,
+      $lte: endKey,
     },
-  }).sort({ date: -1 });
+  }).sort({ localDate: -1, date: -1 });
 };
 
-moodEntrySchema.statics.getMoodStats = async function (userId, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
+const getPeriodStartKey = (days, timeZone) =>
+  addDays(getTodayKey(timeZone), -(days - 1));
 
+moodEntrySchema.statics.getMoodStats = async function (
+  userId,
+  days = 30,
+  timeZone = DEFAULT_TIMEZONE
+) {
   return this.aggregate([
     {
       $match: {
-        user: mongoose.Types.ObjectId(userId),
-        date: { $gte: startDate },
+        user: new mongoose.Types.ObjectId(userId),
+        localDate: { $gte: getPeriodStartKey(days, timeZone) },
       },
     },
     {
@@ -155,15 +216,16 @@ moodEntrySchema.statics.getMoodStats = async function (userId, days = 30) {
   ]);
 };
 
-moodEntrySchema.statics.getActivityStats = async function (userId, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-
+moodEntrySchema.statics.getActivityStats = async function (
+  userId,
+  days = 30,
+  timeZone = DEFAULT_TIMEZONE
+) {
   return this.aggregate([
     {
       $match: {
-        user: mongoose.Types.ObjectId(userId),
-        date: { $gte: startDate },
+        user: new mongoose.Types.ObjectId(userId),
+        localDate: { $gte: getPeriodStartKey(days, timeZone) },
       },
     },
     {
@@ -188,11 +250,59 @@ moodEntrySchema.statics.getActivityStats = async function (userId, days = 30) {
   ]);
 };
 
-moodEntrySchema.methods.isFromToday = function () {
-  const today = new Date();
-  return this.date.toDateString() === today.toDateString();
+moodEntrySchema.statics.decryptEntries = decryptEntries;
+
+// Filter for a user's entries carrying any of `tags`, encrypted or not.
+moodEntrySchema.statics.tagFilter = async function (userId, tags) {
+  return {
+    user: userId,
+    $or: [
+      { tags: { $in: tags } },
+      { tagIndex: { $in: await getTagIndexValues(userId, tags) } },
+    ],
+  };
+};
+
+// Encrypts a user's entries still in plaintext and re-encrypts those using
+// an older data key. Returns how many entries were rewritten.
+moodEntrySchema.statics.reencryptUserEntries = async function (userId) {
+  const { activeVersion } = await DataKey.getUserKeys(userId, {
+    refresh: true,
+  });
+  let updated = 0;
+
+  for await (const entry of this.find({ user: userId }).cursor()) {
+    if (!needsReencryption(entry, activeVersion)) continue;
+
+    await decryptEntries([entry]);
+    // Old entries may predate current validators; they are rewritten as is.
+    await entry.save({ validateBeforeSave: false });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+moodEntrySchema.methods.isFromToday = function (timeZone = DEFAULT_TIMEZONE) {
+  return this.localDate === getTodayKey(timeZone);
 };
 
+// Entries written without going through the controllers (scripts, old
+// clients) fall back to the UTC day.
+moodEntrySchema.pre("validate", function (next) {
+  if (!this.localDate && this.date) {
+    this.localDate = toDateKey(this.date, DEFAULT_TIMEZONE);
+  }
+  next();
+});
+
+moodEntrySchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("journalEntry")) {
+    this.sentiment = analyzeSentiment(this.journalEntry) ?? undefined;
+  }
+  next();
+});
+
 moodEntrySchema.pre("save", function (next) {
   if (this.date > new Date()) {
     next(new Error("Entry date cannot be in the future"));
@@ -200,6 +310,20 @@ moodEntrySchema.pre("save", function (next) {
   next();
 });
 
+// Encrypt after validation, which has to see the plaintext. Runs for
+// insertMany too; the pre("save") hook covers saves that skip validation.
+moodEntrySchema.post("validate", async function () {
+  await encryptEntryFields(this);
+});
+
+moodEntrySchema.pre("save", async function () {
+  await encryptEntryFields(this);
+});
+
+moodEntrySchema.post("save", function () {
+  restoreEntryFields(this);
+});
+
 const MoodEntry = mongoose.model("MoodEntry", moodEntrySchema);
 
 export default MoodEntry;
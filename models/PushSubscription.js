@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// A browser Push API subscription, one per device. The endpoint is unique:
+// re-subscribing the same browser updates the existing record.
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    endpoint: {
+      type: String,
+      required: [true, "Endpoint is required"],
+      unique: true,
+      maxlength: [1000, "Endpoint cannot exceed 1000 characters"],
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: [true, "p256dh key is required"],
+      },
+      auth: {
+        type: String,
+        required: [true, "auth secret is required"],
+      },
+    },
+    expirationTime: Date,
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [300, "User agent cannot exceed 300 characters"],
+    },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pushSubscriptionSchema.index({ user: 1 });
+
+pushSubscriptionSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    endpointOrigin: new URL(this.endpoint).origin,
+    userAgent: this.userAgent,
+    expirationTime: this.expirationTime,
+    lastSuccessAt: this.lastSuccessAt,
+    createdAt: this.createdAt,
+  };
+};
+
+const PushSubscription = mongoose.model(
+  "PushSubscription",
+  pushSubscriptionSchema
+);
+
+export default PushSubscription;
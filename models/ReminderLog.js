@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// One document per user per local day. The unique index doubles as the lock
+// that stops two runs from sending the same reminder: whoever inserts first
+// owns it.
+const reminderLogSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    localDate: {
+      type: String,
+      required: [true, "Local date is required"],
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Local date must be YYYY-MM-DD"],
+    },
+    status: {
+      type: String,
+      enum: ["sending", "sent", "skipped", "failed"],
+      default: "sending",
+    },
+    deliveries: [
+      {
+        _id: false,
+        channel: String,
+        status: {
+          type: String,
+          enum: ["sent", "skipped", "failed"],
+        },
+        reason: String,
+      },
+    ],
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reminderLogSchema.index({ user: 1, localDate: 1 }, { unique: true });
+reminderLogSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (parseInt(process.env.REMINDER_LOG_RETENTION_DAYS) || 90) * 86400,
+  }
+);
+
+// Returns the new log, or null when the day is already claimed. A failed
+// send, or one whose worker died mid-send, can be claimed again once
+// REMINDER_RETRY_MINUTES have passed, so it isn't lost for the whole day.
+reminderLogSchema.statics.claim = async function (userId, localDate) {
+  try {
+    return await this.create({ user: userId, localDate });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const retryMinutes = parseInt(process.env.REMINDER_RETRY_MINUTES) || 15;
+
+  return this.findOneAndUpdate(
+    {
+      user: userId,
+      localDate,
+      status: { $in: ["sending", "failed"] },
+      updatedAt: { $lte: new Date(Date.now() - retryMinutes * 60 * 1000) },
+    },
+    { status: "sending", deliveries: [] },
+    { new: true }
+  );
+};
+
+const ReminderLog = mongoose.model("ReminderLog", reminderLogSchema);
+
+export default ReminderLog;
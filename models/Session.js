@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    refreshTokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [300, "User agent cannot exceed 300 characters"],
+    },
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, exceptSessionId) {
+  const query = { user: userId };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.deleteMany(query);
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import { generateRandomToken } from "../utils/tokens.js";
+
+export const SHARE_TYPES = ["entry", "month"];
+
+// A public, read-only link to one entry or one month's calendar summary.
+// Anyone holding the token can view it until it expires or is revoked
+// (deleted), so journal text and location are left out unless the owner
+// opts in.
+const shareLinkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => generateRandomToken(24),
+    },
+    type: {
+      type: String,
+      enum: {
+        values: SHARE_TYPES,
+        message: `Type must be one of: ${SHARE_TYPES.join(", ")}`,
+      },
+      required: [true, "Share type is required"],
+    },
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MoodEntry",
+    },
+    month: {
+      type: String,
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, "Month must be YYYY-MM"],
+    },
+    includeJournal: {
+      type: Boolean,
+      default: false,
+    },
+    includeLocation: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: Date,
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shareLinkSchema.index({ user: 1, createdAt: -1 });
+shareLinkSchema.index({ entry: 1 }, { sparse: true });
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+shareLinkSchema.pre("validate", function (next) {
+  if (this.type === "entry" && !this.entry) {
+    this.invalidate("entry", "Entry is required for an entry share");
+  }
+  if (this.type === "month" && !this.month) {
+    this.invalidate("month", "Month is required for a month share");
+  }
+  next();
+});
+
+// Expired links are removed by the TTL index, but that runs only once a
+// minute, so reads check too.
+shareLinkSchema.methods.isExpired = function () {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+// Keeps MoodEntry.isPublic in step with whether the entry has any live link.
+shareLinkSchema.statics.syncEntryVisibility = async function (entryId) {
+  const shared = await this.exists({
+    entry: entryId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+
+  await mongoose
+    .model("MoodEntry")
+    .updateOne({ _id: entryId }, { isPublic: !!shared });
+};
+
+const ShareLink = mongoose.model("ShareLink", shareLinkSchema);
+
+export default ShareLink;
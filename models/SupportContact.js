@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// What a contact can see, each level including the ones before it.
+export const SHARE_LEVELS = ["mood", "intensity", "journal"];
+
+const SHARE_LEVEL_FIELDS = {
+  mood: ["localDate", "date", "mood"],
+  intensity: ["localDate", "date", "mood", "moodIntensity"],
+  journal: ["localDate", "date", "mood", "moodIntensity", "journalEntry"],
+};
+
+export const getShareLevelFields = (shareLevel) =>
+  SHARE_LEVEL_FIELDS[shareLevel] || SHARE_LEVEL_FIELDS.mood;
+
+// `user` shares their moods with `contact` once the contact accepts. Either
+// side ends it by deleting the document.
+const supportContactSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Contact reference is required"],
+    },
+    // The username or email the inviter typed, shown to them in place of
+    // the contact's profile until the invitation is accepted.
+    invitedAs: {
+      type: String,
+      trim: true,
+      maxlength: [
+        254,
+        "Invited username or email cannot exceed 254 characters",
+      ],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted"],
+      default: "pending",
+    },
+    shareLevel: {
+      type: String,
+      enum: {
+        values: SHARE_LEVELS,
+        message: `Share level must be one of: ${SHARE_LEVELS.join(", ")}`,
+      },
+      default: "mood",
+    },
+    acceptedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+supportContactSchema.index({ user: 1, contact: 1 }, { unique: true });
+supportContactSchema.index({ contact: 1, status: 1 });
+
+const SupportContact = mongoose.model("SupportContact", supportContactSchema);
+
+export default SupportContact;
@@ -1,5 +1,16 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getTodayKey,
+} from "../utils/timezone.js";
+import { computeStreak, getStreakFreezesPerMonth } from "../utils/streaks.js";
+
+// Clinicians are regular accounts that patients can link to (see
+// models/ClinicianLink.js); support and admin are staff roles.
+export const ROLES = ["user", "clinician", "support", "admin"];
 
 const userSchema = new mongoose.Schema(
   {
@@ -26,12 +37,63 @@ const userSchema = new mongoose.Schema(
         "Please enter a valid email",
       ],
     },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(", ")}`,
+      },
+      default: "user",
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    emailVerificationSentAt: Date,
     password: {
       type: String,
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters"],
       select: false,
     },
+    passwordChangedAt: Date,
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            hash: String,
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
     profile: {
       firstName: {
         type: String,
@@ -58,17 +120,44 @@ const userSchema = new mongoose.Schema(
       reminderTime: {
         type: String,
         default: "20:00",
+        match: [
+          /^([01]\d|2[0-3]):[0-5]\d$/,
+          "Reminder time must be in HH:MM format",
+        ],
       },
       theme: {
         type: String,
         enum: ["light", "dark", "auto"],
         default: "auto",
       },
+      streakFreezes: {
+        type: Boolean,
+        default: false,
+      },
+      // Show helplines when a low-mood pattern is detected.
+      lowMoodSupport: {
+        type: Boolean,
+        default: true,
+      },
+      // ISO 3166 country code, picks which helplines are shown.
+      region: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{2}$/, "Region must be a two-letter country code"],
+      },
       weekStartsOn: {
         type: String,
         enum: ["sunday", "monday"],
         default: "sunday",
       },
+      timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+          validator: isValidTimeZone,
+          message: "Timezone must be a valid IANA timezone name",
+        },
+      },
     },
     streak: {
       current: {
@@ -80,12 +169,19 @@ const userSchema = new mongoose.Schema(
         default: 0,
       },
       lastEntryDate: Date,
+      // Missed days currently bridged by streak freezes.
+      frozenDates: [String],
+      // The local day the cached values were last derived on; a new day may
+      // have broken the streak, so reads re-derive once it changes.
+      evaluatedOn: String,
     },
     isActive: {
       type: Boolean,
       default: true,
     },
     lastLogin: Date,
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
   },
   {
     timestamps: true,
@@ -101,6 +197,8 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ "settings.dailyReminder": 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -114,6 +212,15 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+userSchema.pre("save", function (next) {
+  if (!this.isModified("password") || this.isNew) return next();
+
+  // Backdate by a second so a token signed right after the save is not
+  // rejected because of the JWT's whole-second iat.
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 userSchema.pre("save", function (next) {
   if (this.isModified("lastLogin")) {
     this.lastLogin = new Date();
@@ -128,27 +235,96 @@ userSchema.methods.correctPassword = async function (
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
-userSchema.methods.updateStreak = function () {
-  const today = new Date();
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
-
-  if (!this.streak.lastEntryDate) {
-    this.streak.current = 1;
-    this.streak.longest = 1;
-  } else {
-    const lastEntry = new Date(this.streak.lastEntryDate);
-    const isConsecutive = lastEntry.toDateString() === yesterday.toDateString();
-
-    if (isConsecutive) {
-      this.streak.current += 1;
-      this.streak.longest = Math.max(this.streak.longest, this.streak.current);
-    } else if (lastEntry.toDateString() !== today.toDateString()) {
-      this.streak.current = 1;
+userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
+  if (!this.passwordChangedAt) return false;
+
+  const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return JWTTimestamp < changedTimestamp;
+};
+
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
+userSchema.methods.setRecoveryCodes = async function (codes) {
+  const rounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+
+  this.twoFactor.recoveryCodes = await Promise.all(
+    codes.map(async (code) => ({ hash: await bcrypt.hash(code, rounds) }))
+  );
+};
+
+// Marks the matching unused recovery code as used; needs
+// `+twoFactor.recoveryCodes` to have been selected.
+userSchema.methods.consumeRecoveryCode = async function (code) {
+  const normalized = String(code).trim().toLowerCase();
+
+  for (const recoveryCode of this.twoFactor.recoveryCodes || []) {
+    if (recoveryCode.usedAt) continue;
+
+    if (await bcrypt.compare(normalized, recoveryCode.hash)) {
+      recoveryCode.usedAt = new Date();
+      return true;
     }
   }
 
-  this.streak.lastEntryDate = today;
+  return false;
+};
+
+userSchema.methods.getTimeZone = function () {
+  return this.settings?.timezone || DEFAULT_TIMEZONE;
+};
+
+// Rebuilds the cached streak from the user's actual entry days. Call after
+// anything that adds, moves or removes entries.
+userSchema.methods.recalculateStreak = async function () {
+  const timeZone = this.getTimeZone();
+  const today = getTodayKey(timeZone);
+
+  const [dayKeys, lastEntry] = await Promise.all([
+    mongoose.model("MoodEntry").distinct("localDate", { user: this._id }),
+    mongoose
+      .model("MoodEntry")
+      .findOne({ user: this._id })
+      .sort({ localDate: -1, date: -1 })
+      .select("date")
+      .lean(),
+  ]);
+
+  const { current, longest, frozenDates } = computeStreak(dayKeys, {
+    today,
+    freezesPerMonth: this.settings?.streakFreezes
+      ? getStreakFreezesPerMonth()
+      : 0,
+  });
+
+  this.streak.current = current;
+  this.streak.longest = longest;
+  this.streak.frozenDates = frozenDates;
+  this.streak.lastEntryDate = lastEntry?.date;
+  this.streak.evaluatedOn = today;
+
+  return this.streak.current;
+};
+
+// Re-derives the streak at most once per local day, so `streak.current`
+// drops to 0 on read after a missed day instead of waiting for a new entry.
+userSchema.methods.refreshStreak = async function () {
+  if (this.streak?.evaluatedOn === getTodayKey(this.getTimeZone())) {
+    return this.streak.current;
+  }
+
+  await this.recalculateStreak();
+  await this.save({ validateBeforeSave: false });
   return this.streak.current;
 };
 
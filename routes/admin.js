@@ -0,0 +1,281 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import {
+  getUsers,
+  getUser,
+  getUserEntries,
+  deactivateUser,
+  reactivateUser,
+  resetUserStreak,
+  updateUserRole,
+  getSystemStats,
+} from "../controllers/adminController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { ROLES } from "../models/User.js";
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: User administration for admin and support staff
+ */
+const router = express.Router();
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const userListValidation = [
+  ...paginationValidation,
+  query("role")
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+  query("isActive")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("isActive must be true or false"),
+];
+
+const roleValidation = [
+  body("role")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+];
+
+const userIdValidation = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+];
+
+router.use(protect, authorize("admin", "support"));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches username or email (case-insensitive)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, clinician, support, admin]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of users
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+
+router.get("/users", userListValidation, getUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user with entry and session counts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: User details
+ *       404:
+ *         description: User not found
+ */
+
+router.get("/users/:id", userIdValidation, getUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/entries:
+ *   get:
+ *     summary: List a user's mood entries
+ *     description: Journal text is only included for admins; support staff get entries without it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Paginated list of entries
+ */
+
+router.get(
+  "/users/:id/entries",
+  userIdValidation,
+  paginationValidation,
+  getUserEntries
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/deactivate:
+ *   put:
+ *     summary: Deactivate a user and revoke their sessions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       403:
+ *         description: Support staff cannot change the status of staff accounts
+ *       404:
+ *         description: User not found
+ */
+
+router.put("/users/:id/deactivate", userIdValidation, deactivateUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reactivate:
+ *   put:
+ *     summary: Reactivate a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       403:
+ *         description: Support staff cannot change the status of staff accounts
+ *       404:
+ *         description: User not found
+ */
+
+router.put("/users/:id/reactivate", userIdValidation, reactivateUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/streak/reset:
+ *   put:
+ *     summary: Rebuild a user's cached streak from their entry history
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Streak recalculated
+ *       404:
+ *         description: User not found
+ */
+
+router.put("/users/:id/streak/reset", userIdValidation, resetUserStreak);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, clinician, support, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+
+router.put(
+  "/users/:id/role",
+  authorize("admin"),
+  userIdValidation,
+  roleValidation,
+  updateUserRole
+);
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: System-wide user and entry counts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Aggregate counts
+ */
+
+router.get("/stats", getSystemStats);
+
+export default router;
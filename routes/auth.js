@@ -7,8 +7,24 @@ import {
   updateProfile,
   changePassword,
   deactivateAccount,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  deleteAccount,
 } from "../controllers/authController.js";
 import { protect } from "../middleware/auth.js";
+import { isValidTimeZone } from "../utils/timezone.js";
 /**
  * @swagger
  * tags:
@@ -31,6 +47,10 @@ const registerValidation = [
   body("password")
     .isLength({ min: 6 })
     .withMessage("Password must be at least 6 characters"),
+  body("timezone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("Timezone must be a valid IANA timezone name"),
 ];
 
 const loginValidation = [
@@ -60,6 +80,34 @@ const profileValidation = [
     .optional()
     .isIn(["light", "dark", "auto"])
     .withMessage("Theme must be one of: light, dark, auto"),
+  body("settings.timezone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("Timezone must be a valid IANA timezone name"),
+  body("settings.dailyReminder")
+    .optional()
+    .isBoolean()
+    .withMessage("dailyReminder must be a boolean")
+    .toBoolean(),
+  body("settings.reminderTime")
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("Reminder time must be in HH:MM format"),
+  body("settings.lowMoodSupport")
+    .optional()
+    .isBoolean()
+    .withMessage("lowMoodSupport must be a boolean")
+    .toBoolean(),
+  body("settings.region")
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage("Region must be a two-letter country code")
+    .toUpperCase(),
+  body("settings.streakFreezes")
+    .optional()
+    .isBoolean()
+    .withMessage("streakFreezes must be a boolean")
+    .toBoolean(),
 ];
 
 const changePasswordValidation = [
@@ -68,6 +116,66 @@ const changePasswordValidation = [
     .isLength({ min: 6 })
     .withMessage("New password must be at least 6 characters"),
 ];
+
+const refreshTokenValidation = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+];
+
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email")
+    .normalizeEmail(),
+];
+
+const resetPasswordValidation = [
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters"),
+];
+
+const deleteAccountValidation = [
+  body("password").exists().withMessage("Password is required"),
+];
+
+const totpCodeValidation = [
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit number"),
+];
+
+const secondFactorValidation = [
+  body("code")
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit number"),
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Recovery code must be a string"),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error("Either code or recoveryCode is required");
+    }
+    return true;
+  }),
+];
+
+const twoFactorVerifyValidation = [
+  body("challengeToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  ...secondFactorValidation,
+];
+
+const twoFactorDisableValidation = [
+  body("password").exists().withMessage("Password is required"),
+  ...secondFactorValidation,
+];
 /**
  * @swagger
  * /api/auth/register:
@@ -94,6 +202,10 @@ const changePasswordValidation = [
  *               password:
  *                 type: string
  *                 example: pass1234
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone used for "today", calendars and streaks
+ *                 example: Asia/Tokyo
  */
 
 router.post("/register", registerValidation, register);
@@ -102,6 +214,7 @@ router.post("/register", registerValidation, register);
  * /api/auth/login:
  *   post:
  *     summary: Login user and return token
+ *     description: When two-factor authentication is enabled the response carries `twoFactorRequired` and a `challengeToken` instead of tokens; finish with POST /api/auth/2fa/verify.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -171,11 +284,32 @@ router.get("/me", protect, getMe);
  *                   theme:
  *                     type: string
  *                     enum: [light, dark, auto]
+ *                   timezone:
+ *                     type: string
+ *                     example: Europe/Berlin
+ *                   dailyReminder:
+ *                     type: boolean
+ *                   reminderTime:
+ *                     type: string
+ *                     example: "20:00"
+ *                     description: Local time in the user's timezone
+ *                   lowMoodSupport:
+ *                     type: boolean
+ *                     description: Show helplines when a run of low days is detected
+ *                   region:
+ *                     type: string
+ *                     example: GB
+ *                     description: Country whose helplines are shown
+ *                   streakFreezes:
+ *                     type: boolean
+ *                     description: Let a few missed days a month keep the streak alive
  *     responses:
  *       200:
  *         description: Profile updated successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Turning on dailyReminder requires a verified email
  */
 
 router.put("/profile", protect, profileValidation, updateProfile);
@@ -232,5 +366,392 @@ router.put(
  */
 
 router.put("/deactivate", protect, deactivateAccount);
+/**
+ * @swagger
+ * /api/auth/account:
+ *   delete:
+ *     summary: Permanently delete the account and all its data
+ *     description: Deletion happens after a grace period (ACCOUNT_DELETION_GRACE_DAYS). Logging in again before then cancels it.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion (or deleted when there is no grace period)
+ *       401:
+ *         description: Unauthorized or wrong password
+ */
+
+router.delete("/account", protect, deleteAccountValidation, deleteAccount);
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The refresh token is rotated on every call; replaying an old one revokes the session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens issued
+ *       401:
+ *         description: Refresh token invalid, expired or reused
+ */
+
+router.post("/refresh", refreshTokenValidation, refreshToken);
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out by revoking the session behind a refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+
+router.post("/logout", refreshTokenValidation, logout);
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions (devices) of the logged-in user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Returns active sessions, the current one flagged
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Revoke every session except the current one
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+
+router
+  .route("/sessions")
+  .get(protect, getSessions)
+  .delete(protect, revokeOtherSessions);
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a single session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+
+router.delete("/sessions/:id", protect, revokeSession);
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Send a password reset link to the user's email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: nunu@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+
+router.post("/forgot-password", forgotPasswordValidation, forgotPassword);
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Reset token from the email link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: newPass456
+ *     responses:
+ *       200:
+ *         description: Password reset, new tokens returned
+ *       400:
+ *         description: Token invalid or expired
+ */
+
+router.post(
+  "/reset-password/:token",
+  resetPasswordValidation,
+  resetPassword
+);
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Confirm the user's email address
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Signed token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Link invalid or expired
+ */
+
+router.get("/verify-email/:token", verifyEmail);
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Sent too recently
+ */
+
+router.post("/resend-verification", protect, resendVerification);
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment and get the QR code / otpauth URI
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URI and QR code data URL
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.post("/2fa/setup", protect, setupTwoFactor);
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm TOTP enrollment with a code from the authenticator app
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled, recovery codes returned once
+ *       400:
+ *         description: Invalid code or already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.post("/2fa/enable", protect, totpCodeValidation, enableTwoFactor);
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Finish a login that requires two-factor authentication
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: a1b2c-3d4e5
+ *     responses:
+ *       200:
+ *         description: Login complete, tokens returned
+ *       401:
+ *         description: Invalid code or expired challenge
+ */
+
+router.post("/2fa/verify", twoFactorVerifyValidation, verifyTwoFactorLogin);
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA not enabled
+ *       401:
+ *         description: Wrong password or code
+ */
+
+router.post(
+  "/2fa/disable",
+  protect,
+  twoFactorDisableValidation,
+  disableTwoFactor
+);
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes returned once
+ *       400:
+ *         description: 2FA not enabled
+ *       401:
+ *         description: Invalid code
+ */
+
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  totpCodeValidation,
+  regenerateRecoveryCodes
+);
 
 export default router;
@@ -0,0 +1,387 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import {
+  createInviteCode,
+  getInviteCodes,
+  deleteInviteCode,
+  getPatients,
+  getPatientReport,
+  dischargePatient,
+  linkClinician,
+  getClinicians,
+  updateClinicianAccess,
+  revokeClinician,
+  getAccessLog,
+} from "../controllers/careController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { TREND_INTERVALS } from "../utils/trends.js";
+/**
+ * @swagger
+ * tags:
+ *   name: Care
+ *   description: Read-only clinician access granted by patients
+ */
+const router = express.Router();
+
+const rangeValidation = [
+  query("startDate")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Start date must be in YYYY-MM-DD format"),
+  query("endDate")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("End date must be in YYYY-MM-DD format"),
+];
+
+const reportValidation = [
+  param("patientId").isMongoId().withMessage("Invalid patient ID"),
+  ...rangeValidation,
+  query("interval")
+    .optional()
+    .isIn(TREND_INTERVALS)
+    .withMessage(`Interval must be one of: ${TREND_INTERVALS.join(", ")}`),
+];
+
+const inviteCodeValidation = [
+  body("label")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Label cannot exceed 100 characters"),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("expiresInDays must be between 1 and 30")
+    .toInt(),
+];
+
+const linkValidation = [
+  body("code")
+    .isString()
+    .trim()
+    .toUpperCase()
+    .isLength({ min: 8, max: 8 })
+    .withMessage("Invite code must be 8 characters"),
+  body("includeJournal")
+    .optional()
+    .isBoolean()
+    .withMessage("includeJournal must be a boolean")
+    .toBoolean(),
+];
+
+const accessValidation = [
+  param("id").isMongoId().withMessage("Invalid ID"),
+  body("includeJournal")
+    .isBoolean()
+    .withMessage("includeJournal must be a boolean")
+    .toBoolean(),
+];
+
+const idValidation = [param("id").isMongoId().withMessage("Invalid ID")];
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/care/clinicians:
+ *   get:
+ *     summary: Clinicians with access to your data
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked clinicians
+ *   post:
+ *     summary: Give a clinician access using their invite code
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: K7PM2QXA
+ *               includeJournal:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Clinician linked
+ *       400:
+ *         description: Invalid or expired code
+ */
+
+router
+  .route("/clinicians")
+  .get(getClinicians)
+  .post(linkValidation, linkClinician);
+
+/**
+ * @swagger
+ * /api/care/clinicians/{id}:
+ *   put:
+ *     summary: Turn journal sharing with a clinician on or off
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - includeJournal
+ *             properties:
+ *               includeJournal:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Access updated
+ *       404:
+ *         description: Link not found
+ *   delete:
+ *     summary: Revoke a clinician's access
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Access revoked
+ *       404:
+ *         description: Link not found
+ */
+
+router
+  .route("/clinicians/:id")
+  .put(accessValidation, updateClinicianAccess)
+  .delete(idValidation, revokeClinician);
+
+/**
+ * @swagger
+ * /api/care/access-log:
+ *   get:
+ *     summary: Every time a clinician viewed your data
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Access records, newest first
+ */
+
+router.get("/access-log", paginationValidation, getAccessLog);
+
+/**
+ * @swagger
+ * /api/care/invite-codes:
+ *   get:
+ *     summary: Your unused invite codes (clinicians only)
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invite codes
+ *       403:
+ *         description: Not a clinician
+ *   post:
+ *     summary: Create a single-use invite code for a patient (clinicians only)
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 description: Private note, e.g. the patient's initials
+ *               expiresInDays:
+ *                 type: integer
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invite code created
+ *       403:
+ *         description: Not a clinician
+ */
+
+router
+  .route("/invite-codes")
+  .get(authorize("clinician"), getInviteCodes)
+  .post(authorize("clinician"), inviteCodeValidation, createInviteCode);
+
+/**
+ * @swagger
+ * /api/care/invite-codes/{id}:
+ *   delete:
+ *     summary: Delete an invite code (clinicians only)
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invite code deleted
+ *       404:
+ *         description: Invite code not found
+ */
+
+router.delete(
+  "/invite-codes/:id",
+  authorize("clinician"),
+  idValidation,
+  deleteInviteCode
+);
+
+/**
+ * @swagger
+ * /api/care/patients:
+ *   get:
+ *     summary: Dashboard of linked patients (clinicians only)
+ *     description: >
+ *       Each patient comes with a mood summary, weekly trend and flagged low
+ *       periods for the range. Every patient listed is recorded in their
+ *       access log.
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days before endDate
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today in each patient's timezone
+ *     responses:
+ *       200:
+ *         description: Patients
+ *       400:
+ *         description: Start date after end date, or a range over 366 days
+ *       403:
+ *         description: Not a clinician
+ */
+
+router.get("/patients", authorize("clinician"), rangeValidation, getPatients);
+
+/**
+ * @swagger
+ * /api/care/patients/{patientId}:
+ *   get:
+ *     summary: Full report for one patient (clinicians only)
+ *     description: >
+ *       Summary, trends, low periods, daily summaries and entries. Journal
+ *       text is included only if the patient enabled it. The view is
+ *       recorded in the patient's access log.
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *     responses:
+ *       200:
+ *         description: Patient report
+ *       400:
+ *         description: Start date after end date, or a range over 366 days
+ *       404:
+ *         description: Patient not linked
+ *   delete:
+ *     summary: Unlink a patient (clinicians only)
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Patient unlinked
+ *       404:
+ *         description: Patient not linked
+ */
+
+router
+  .route("/patients/:patientId")
+  .get(authorize("clinician"), reportValidation, getPatientReport)
+  .delete(authorize("clinician"), dischargePatient);
+
+export default router;
@@ -0,0 +1,329 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { body, param, query } from "express-validator";
+import {
+  inviteContact,
+  getInvites,
+  acceptInvite,
+  declineInvite,
+  getContacts,
+  updateContact,
+  removeContact,
+  getSupporting,
+  leaveCircle,
+  getFeed,
+} from "../controllers/circleController.js";
+import { SHARE_LEVELS } from "../models/SupportContact.js";
+import { protect } from "../middleware/auth.js";
+/**
+ * @swagger
+ * tags:
+ *   name: Circle
+ *   description: Trusted contacts who can follow your moods
+ */
+const router = express.Router();
+
+const shareLevelValidation = () =>
+  body("shareLevel")
+    .isIn(SHARE_LEVELS)
+    .withMessage(`Share level must be one of: ${SHARE_LEVELS.join(", ")}`);
+
+const inviteValidation = [
+  body("identifier")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Username or email is required")
+    .isLength({ max: 254 })
+    .withMessage("Username or email cannot exceed 254 characters"),
+  shareLevelValidation().optional(),
+];
+
+// Every invitation notifies someone, so each user only gets
+// CIRCLE_INVITE_LIMIT (default 20) an hour.
+const inviteLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: () => parseInt(process.env.CIRCLE_INVITE_LIMIT) || 20,
+  keyGenerator: (req) => String(req.user._id),
+  message: {
+    success: false,
+    message: "Too many invitations, please try again later.",
+  },
+});
+
+const idValidation = [param("id").isMongoId().withMessage("Invalid ID")];
+
+const feedValidation = [
+  ...idValidation,
+  query("startDate")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Start date must be in YYYY-MM-DD format"),
+  query("endDate")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("End date must be in YYYY-MM-DD format"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/circle/contacts:
+ *   get:
+ *     summary: People you share your moods with
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: >
+ *           Pending and accepted contacts. Pending ones only show the
+ *           username or email they were invited as.
+ *   post:
+ *     summary: Invite someone to your support circle
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Their username or email
+ *               shareLevel:
+ *                 type: string
+ *                 enum: [mood, intensity, journal]
+ *                 default: mood
+ *                 description: Each level includes the ones before it
+ *     responses:
+ *       202:
+ *         description: >
+ *           Accepted. The answer is the same whether or not the person has an
+ *           account or was already invited.
+ *       400:
+ *         description: Validation error, or inviting yourself
+ *       429:
+ *         description: Too many invitations
+ */
+
+router
+  .route("/contacts")
+  .get(getContacts)
+  .post(inviteLimiter, inviteValidation, inviteContact);
+
+/**
+ * @swagger
+ * /api/circle/contacts/{id}:
+ *   put:
+ *     summary: Change what a contact can see
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shareLevel
+ *             properties:
+ *               shareLevel:
+ *                 type: string
+ *                 enum: [mood, intensity, journal]
+ *     responses:
+ *       200:
+ *         description: Sharing updated
+ *       404:
+ *         description: Contact not found
+ *   delete:
+ *     summary: Revoke a contact's access (or withdraw an invitation)
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Access revoked
+ *       404:
+ *         description: Contact not found
+ */
+
+router
+  .route("/contacts/:id")
+  .put(idValidation, shareLevelValidation(), updateContact)
+  .delete(idValidation, removeContact);
+
+/**
+ * @swagger
+ * /api/circle/invites:
+ *   get:
+ *     summary: Invitations waiting for your answer
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ */
+
+router.get("/invites", getInvites);
+
+/**
+ * @swagger
+ * /api/circle/invites/{id}/accept:
+ *   post:
+ *     summary: Accept an invitation
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       404:
+ *         description: Invitation not found
+ */
+
+router.post("/invites/:id/accept", idValidation, acceptInvite);
+
+/**
+ * @swagger
+ * /api/circle/invites/{id}:
+ *   delete:
+ *     summary: Decline an invitation
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         description: Invitation not found
+ */
+
+router.delete("/invites/:id", idValidation, declineInvite);
+
+/**
+ * @swagger
+ * /api/circle/supporting:
+ *   get:
+ *     summary: People whose moods you can follow
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Accepted circles you belong to
+ */
+
+router.get("/supporting", getSupporting);
+
+/**
+ * @swagger
+ * /api/circle/supporting/{id}:
+ *   delete:
+ *     summary: Leave someone's support circle
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Left the circle
+ *       404:
+ *         description: Not found
+ */
+
+router.delete("/supporting/:id", idValidation, leaveCircle);
+
+/**
+ * @swagger
+ * /api/circle/supporting/{id}/feed:
+ *   get:
+ *     summary: Read-only feed of someone's entries
+ *     description: >
+ *       Only the fields their share level allows are returned: mood, plus
+ *       intensity, plus journal text.
+ *     tags: [Circle]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days before endDate
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Entries, newest first
+ *       404:
+ *         description: Not found
+ */
+
+router.get("/supporting/:id/feed", feedValidation, getFeed);
+
+export default router;
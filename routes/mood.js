@@ -1,16 +1,58 @@
 import express from "express";
-import { body } from "express-validator";
+import { body, param, query } from "express-validator";
 import {
   getEntries,
+  searchEntries,
   getEntry,
   createEntry,
   updateEntry,
   deleteEntry,
   getTodayEntry,
   getStats,
+  getInsights,
+  getTrends,
+  getSupport,
   getCalendar,
+  getDay,
+  exportEntries,
+  importEntries,
 } from "../controllers/moodController.js";
-import { protect } from "../middleware/auth.js";
+import {
+  getVocabulary,
+  createMood,
+  updateMood,
+  deleteMood,
+  createActivity,
+  updateActivity,
+  deleteActivity,
+} from "../controllers/vocabularyController.js";
+import {
+  getTags,
+  getTagSuggestions,
+  renameTag,
+  mergeTags,
+  deleteTag,
+} from "../controllers/tagController.js";
+import {
+  getGoals,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  getGoalHistory,
+} from "../controllers/goalController.js";
+import {
+  getShareLinks,
+  createShareLink,
+  updateShareLink,
+  revokeShareLink,
+} from "../controllers/shareController.js";
+import { GOAL_PERIODS } from "../models/Goal.js";
+import { SHARE_TYPES } from "../models/ShareLink.js";
+import { IMPORT_FORMATS } from "../utils/importFormats.js";
+import { TREND_INTERVALS } from "../utils/trends.js";
+import { getRequestVocabulary } from "../utils/vocabulary.js";
+import { ACTIVITY_CATEGORIES } from "../config/vocabulary.js";
+import { protect, requireVerifiedEmail } from "../middleware/auth.js";
 /**
  * @openapi
  * tags:
@@ -21,10 +63,20 @@ const router = express.Router();
 
 const moodEntryValidation = [
   body("mood")
-    .isIn(["excited", "happy", "neutral", "sad", "anxious", "angry", "tired"])
-    .withMessage(
-      "Mood must be one of: excited, happy, neutral, sad, anxious, angry, tired"
-    ),
+    .isString()
+    .withMessage("Mood is required")
+    .bail()
+    .trim()
+    .toLowerCase()
+    .custom(async (value, { req }) => {
+      const { moodNames } = await getRequestVocabulary(req);
+      if (!moodNames.includes(value)) {
+        throw new Error(
+          `Mood must be a built-in or custom mood (${moodNames.join(", ")})`
+        );
+      }
+      return true;
+    }),
   body("moodIntensity")
     .isInt({ min: 1, max: 10 })
     .withMessage("Mood intensity must be between 1 and 10"),
@@ -38,23 +90,18 @@ const moodEntryValidation = [
     .withMessage("Tag cannot exceed 20 characters"),
   body("activities.*")
     .optional()
-    .isIn([
-      "exercise",
-      "work",
-      "social",
-      "family",
-      "hobby",
-      "rest",
-      "learning",
-      "nature",
-      "shopping",
-      "cleaning",
-      "cooking",
-      "travel",
-      "entertainment",
-      "self-care",
-    ])
-    .withMessage("Invalid activity"),
+    .isString()
+    .withMessage("Invalid activity")
+    .bail()
+    .trim()
+    .toLowerCase()
+    .custom(async (value, { req }) => {
+      const { activityNames } = await getRequestVocabulary(req);
+      if (!activityNames.includes(value)) {
+        throw new Error(`Invalid activity '${value}'`);
+      }
+      return true;
+    }),
   body("sleepHours")
     .optional()
     .isInt({ min: 0, max: 24 })
@@ -71,6 +118,301 @@ const moodEntryValidation = [
     .withMessage("Date must be a valid ISO 8601 date"),
 ];
 
+const exportValidation = [
+  query("format")
+    .optional()
+    .isIn(["csv", "json", "ics"])
+    .withMessage("Format must be one of: csv, json, ics"),
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid ISO 8601 date"),
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("End date must be a valid ISO 8601 date"),
+];
+
+const importValidation = [
+  body("format")
+    .isIn(IMPORT_FORMATS)
+    .withMessage(`Format must be one of: ${IMPORT_FORMATS.join(", ")}`),
+  body("data")
+    .exists({ checkNull: true })
+    .withMessage("Import data is required"),
+  body("mapping")
+    .optional()
+    .isObject()
+    .withMessage("Mapping must be an object"),
+  body("mapping.moods")
+    .optional()
+    .isObject()
+    .withMessage("Mood mapping must be an object"),
+  body("mapping.activities")
+    .optional()
+    .isObject()
+    .withMessage("Activity mapping must be an object"),
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be a boolean")
+    .toBoolean(),
+  body("onConflict")
+    .optional()
+    .isIn(["skip", "merge"])
+    .withMessage("onConflict must be one of: skip, merge"),
+];
+
+const searchValidation = [
+  query("q")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Search query must be between 1 and 200 characters"),
+  query("mood")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isLength({ max: 30 })
+    .withMessage("Mood cannot exceed 30 characters"),
+  query("activity")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isLength({ max: 30 })
+    .withMessage("Activity cannot exceed 30 characters"),
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid ISO 8601 date"),
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("End date must be a valid ISO 8601 date"),
+  query("cursor")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z_[a-f\d]{24}$/)
+    .withMessage("Cursor must be a nextCursor value from an earlier search"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const insightsValidation = [
+  query("days")
+    .optional()
+    .isInt({ min: 7, max: 365 })
+    .withMessage("Days must be between 7 and 365"),
+  query("minSample")
+    .optional()
+    .isInt({ min: 2, max: 60 })
+    .withMessage("minSample must be between 2 and 60"),
+];
+
+const trendsValidation = [
+  query("interval")
+    .optional()
+    .isIn(TREND_INTERVALS)
+    .withMessage(`Interval must be one of: ${TREND_INTERVALS.join(", ")}`),
+  query("startDate")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Start date must be in YYYY-MM-DD format"),
+  query("endDate")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("End date must be in YYYY-MM-DD format"),
+  query("window")
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage("Window must be between 1 and 90 buckets"),
+];
+
+const dayValidation = [
+  param("date")
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Date must be in YYYY-MM-DD format"),
+];
+
+const customMoodValidation = (isUpdate) => [
+  body("name")
+    .if(() => !isUpdate)
+    .exists()
+    .withMessage("Mood name is required"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Mood name must be between 1 and 30 characters")
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9 -]*$/)
+    .withMessage(
+      "Mood name can only contain letters, numbers, spaces and hyphens"
+    ),
+  body("valence")
+    .if(() => !isUpdate)
+    .exists()
+    .withMessage("Valence is required"),
+  body("valence")
+    .optional()
+    .isFloat({ min: -5, max: 5 })
+    .withMessage("Valence must be between -5 and 5")
+    .toFloat(),
+  body("color")
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage("Color must be a hex value like #ffcc00"),
+  body("emoji")
+    .optional()
+    .isLength({ max: 16 })
+    .withMessage("Emoji cannot exceed 16 characters"),
+];
+
+const customActivityValidation = (isUpdate) => [
+  body("name")
+    .if(() => !isUpdate)
+    .exists()
+    .withMessage("Activity name is required"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Activity name must be between 1 and 30 characters")
+    .matches(/^[a-zA-Z0-9][a-zA-Z0-9 -]*$/)
+    .withMessage(
+      "Activity name can only contain letters, numbers, spaces and hyphens"
+    ),
+  body("category")
+    .optional()
+    .isIn(ACTIVITY_CATEGORIES)
+    .withMessage(`Category must be one of: ${ACTIVITY_CATEGORIES.join(", ")}`),
+];
+
+const vocabularyIdValidation = [
+  param("id").isMongoId().withMessage("Invalid ID"),
+];
+
+const goalValidation = (isUpdate) => [
+  body("activity")
+    .if(() => !isUpdate)
+    .isString()
+    .withMessage("Activity is required")
+    .bail()
+    .trim()
+    .toLowerCase()
+    .custom(async (value, { req }) => {
+      const { activityNames } = await getRequestVocabulary(req);
+      if (!activityNames.includes(value)) {
+        throw new Error(`Invalid activity '${value}'`);
+      }
+      return true;
+    }),
+  body("period")
+    .if(() => !isUpdate)
+    .optional()
+    .isIn(GOAL_PERIODS)
+    .withMessage(`Period must be one of: ${GOAL_PERIODS.join(", ")}`),
+  body("targetCount")
+    .if(() => !isUpdate)
+    .exists()
+    .withMessage("Target count is required"),
+  body("targetCount")
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage("Target count must be between 1 and 31")
+    .toInt(),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+];
+
+const goalIdValidation = [param("id").isMongoId().withMessage("Invalid ID")];
+
+const goalHistoryValidation = [
+  ...goalIdValidation,
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 104 })
+    .withMessage("Limit must be between 1 and 104"),
+];
+
+const shareOptionsValidation = [
+  body("includeJournal")
+    .optional()
+    .isBoolean()
+    .withMessage("includeJournal must be a boolean")
+    .toBoolean(),
+  body("includeLocation")
+    .optional()
+    .isBoolean()
+    .withMessage("includeLocation must be a boolean")
+    .toBoolean(),
+  body("expiresInDays")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage("expiresInDays must be between 1 and 365")
+    .toInt(),
+  body("expiresAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("expiresAt must be a valid ISO 8601 date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("expiresAt must be in the future"),
+];
+
+const createShareValidation = [
+  body("type")
+    .isIn(SHARE_TYPES)
+    .withMessage(`Type must be one of: ${SHARE_TYPES.join(", ")}`),
+  body("entryId")
+    .if(body("type").equals("entry"))
+    .isMongoId()
+    .withMessage("A valid entryId is required for an entry share"),
+  body("month")
+    .if(body("type").equals("month"))
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage("Month must be in YYYY-MM format"),
+  ...shareOptionsValidation,
+];
+
+const shareIdValidation = [param("id").isMongoId().withMessage("Invalid ID")];
+
+const tagNameValidation = (field) =>
+  field
+    .isString()
+    .withMessage("Tag must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("Tag must be between 1 and 20 characters");
+
+const tagSuggestionValidation = [
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Query cannot exceed 20 characters"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+const renameTagValidation = [tagNameValidation(body("name"))];
+
+const mergeTagsValidation = [
+  body("sources")
+    .isArray({ min: 1 })
+    .withMessage("Sources must be a non-empty array of tags"),
+  tagNameValidation(body("sources.*")),
+  tagNameValidation(body("target")),
+];
+
 router.use(protect);
 /**
  * @swagger
@@ -92,7 +434,7 @@ router.use(protect);
  *             properties:
  *               mood:
  *                 type: string
- *                 enum: [excited, happy, neutral, sad, anxious, angry, tired]
+ *                 description: A built-in mood (excited, happy, neutral, sad, anxious, angry, tired) or one of the user's custom moods
  *                 example: happy
  *               moodIntensity:
  *                 type: integer
@@ -111,7 +453,7 @@ router.use(protect);
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [exercise, work, social, family, hobby, rest, learning, nature, shopping, cleaning, cooking, travel, entertainment, self-care]
+ *                   description: A built-in activity (exercise, work, social, family, hobby, rest, learning, nature, shopping, cleaning, cooking, travel, entertainment, self-care) or a custom one
  *                 example: ["exercise", "social"]
  *               sleepHours:
  *                 type: integer
@@ -124,7 +466,10 @@ router.use(protect);
  *                 example: sunny
  *               date:
  *                 type: string
- *                 format: date
+ *                 description: >
+ *                   Calendar day (YYYY-MM-DD, in the user's timezone) or a full
+ *                   timestamp for the check-in. Defaults to now. Several
+ *                   check-ins per day are allowed.
  *                 example: 2025-11-22
  *     responses:
  *       201:
@@ -152,17 +497,82 @@ router.use(protect);
 
 router.route("/entries").get(getEntries).post(moodEntryValidation, createEntry);
 
+/**
+ * @swagger
+ * /api/mood/search:
+ *   get:
+ *     summary: Full-text search across journal text, tags and location
+ *     description: >
+ *       Results are ranked by relevance and carry HTML-escaped snippets with
+ *       matches wrapped in <mark>. Supports "quoted phrases" and -excluded
+ *       words. Each request searches at most SEARCH_SCAN_LIMIT (default 1000)
+ *       entries, newest first. When the range holds more, `truncated` is
+ *       true and the results, `total` and `pages` cover only the `scanned`
+ *       entries; pass `nextCursor` back as `cursor` to search the next,
+ *       older stretch.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: sister
+ *       - in: query
+ *         name: mood
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: activity
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The `nextCursor` of a truncated search, to continue after it
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ranked, paginated matches with highlights
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.route("/search").get(searchValidation, searchEntries);
+
 /**
  * @swagger
  * /api/mood/entries/today:
  *   get:
- *     summary: Get the mood entry for today
+ *     summary: Get today's check-ins
  *     tags: [Mood]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Returns today’s mood entry
+ *         description: Returns the latest check-in as `data` and all of today's as `checkIns`
  *       401:
  *         description: Unauthorized
  */
@@ -217,7 +627,7 @@ router.route("/entries/today").get(getTodayEntry);
  *             properties:
  *               mood:
  *                 type: string
- *                 enum: [excited, happy, neutral, sad, anxious, angry, tired]
+ *                 description: Built-in or custom mood
  *               moodIntensity:
  *                 type: integer
  *                 minimum: 1
@@ -288,6 +698,11 @@ router
  * /api/mood/stats:
  *   get:
  *     summary: Get mood statistics (e.g., average intensity, mood counts)
+ *     description: >
+ *       `sentiment` compares the tone of journal text with the moods picked:
+ *       averageGap is text sentiment minus mood score, both on a -1 to 1
+ *       scale, and `mismatches` lists recent entries where they disagree by
+ *       SENTIMENT_MISMATCH_GAP (default 0.5) or more.
  *     tags: [Mood]
  *     security:
  *       - bearerAuth: []
@@ -300,21 +715,866 @@ router
 
 router.route("/stats").get(getStats);
 
+/**
+ * @swagger
+ * /api/mood/insights:
+ *   get:
+ *     summary: How activities, weather and sleep relate to your mood
+ *     description: >
+ *       Compares days with and without each activity, weather and sleep band.
+ *       Only findings backed by at least `minSample` days on each side and a
+ *       non-trivial effect size (Cohen's d of 0.2 or more) are returned.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 90
+ *         description: Number of days to analyze
+ *       - in: query
+ *         name: minSample
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Minimum days required on each side of a comparison
+ *     responses:
+ *       200:
+ *         description: Insights sorted by effect size
+ *       400:
+ *         description: Validation error
+ */
+
+router.route("/insights").get(insightsValidation, getInsights);
+
+/**
+ * @swagger
+ * /api/mood/trends:
+ *   get:
+ *     summary: Mood time series bucketed by day, week or month
+ *     description: >
+ *       Every bucket between startDate and endDate is returned, including
+ *       empty ones. Week buckets start on the user's `settings.weekStartsOn`.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days, 12 weeks or 12 months before endDate
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *         description: Buckets in the moving average (default 7, 4 or 3)
+ *     responses:
+ *       200:
+ *         description: >
+ *           One item per bucket with count, averageIntensity, movingAverage,
+ *           averageSentiment, sentimentGap and moodDistribution
+ *       400:
+ *         description: Validation error or range too large
+ */
+
+router.route("/trends").get(trendsValidation, getTrends);
+
+/**
+ * @swagger
+ * /api/mood/support:
+ *   get:
+ *     summary: Helplines for your region
+ *     description: >
+ *       The same resources that appear in the `support` block of an entry
+ *       response when a low-mood pattern is detected. Region comes from
+ *       settings.region, else a guess from the timezone, else an
+ *       international directory.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Emergency number and helplines
+ */
+
+router.route("/support").get(getSupport);
+
 /**
  * @swagger
  * /api/mood/calendar:
  *   get:
- *     summary: Get mood entries formatted for calendar view
+ *     summary: Get one summary per day for a calendar month
+ *     description: Each day has the dominant mood, average/min/max intensity and the number of check-ins.
  *     tags: [Mood]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
  *     responses:
  *       200:
- *         description: Returns calendar-formatted entries
+ *         description: Returns per-day summaries
  *       401:
  *         description: Unauthorized
  */
 
 router.route("/calendar").get(getCalendar);
 
+/**
+ * @swagger
+ * /api/mood/days/{date}:
+ *   get:
+ *     summary: Get the intraday timeline of check-ins for one day
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Day in the user's timezone (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Check-ins in chronological order plus a day summary
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.route("/days/:date").get(dayValidation, getDay);
+
+/**
+ * @swagger
+ * /api/mood/export:
+ *   get:
+ *     summary: Download mood history as CSV, JSON or iCalendar
+ *     description: The file is streamed entry by entry, oldest first.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ics]
+ *           default: json
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Export file download
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.route("/export").get(exportValidation, exportEntries);
+
+/**
+ * @swagger
+ * /api/mood/import:
+ *   post:
+ *     summary: Import entries from a MoodBuddy export or a Daylio CSV
+ *     description: >
+ *       Rows that match an existing check-in (same day and time) are skipped
+ *       or merged (existing values win, tags/activities are combined, journal
+ *       text is appended). With dryRun nothing is written and the row-level report is
+ *       returned. Streaks are recomputed after a real import.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - data
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [moodbuddy-csv, moodbuddy-json, daylio]
+ *               data:
+ *                 description: File contents (string), or the parsed JSON export
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *               mapping:
+ *                 type: object
+ *                 properties:
+ *                   moods:
+ *                     type: object
+ *                     example: { "rad": { "mood": "excited", "intensity": 9 }, "fine": "neutral" }
+ *                   activities:
+ *                     type: object
+ *                     example: { "gym": "exercise", "gaming": "hobby", "chores": null }
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *               onConflict:
+ *                 type: string
+ *                 enum: [skip, merge]
+ *                 default: skip
+ *     responses:
+ *       200:
+ *         description: Import report with per-row errors and warnings
+ *       400:
+ *         description: Validation or parse error
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.route("/import").post(importValidation, importEntries);
+
+/**
+ * @swagger
+ * /api/mood/vocabulary:
+ *   get:
+ *     summary: List the user's moods and activities (built-in and custom)
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Moods with valence, colour and emoji; activities with category
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.route("/vocabulary").get(getVocabulary);
+
+/**
+ * @swagger
+ * /api/mood/vocabulary/moods:
+ *   post:
+ *     summary: Add a custom mood
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - valence
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: grateful
+ *               valence:
+ *                 type: number
+ *                 minimum: -5
+ *                 maximum: 5
+ *                 example: 4
+ *               color:
+ *                 type: string
+ *                 example: "#ffc107"
+ *               emoji:
+ *                 type: string
+ *                 example: 🙏
+ *     responses:
+ *       201:
+ *         description: Custom mood created
+ *       400:
+ *         description: Validation error or name already taken
+ */
+
+router.route("/vocabulary/moods").post(customMoodValidation(false), createMood);
+
+/**
+ * @swagger
+ * /api/mood/vocabulary/moods/{id}:
+ *   put:
+ *     summary: Update a custom mood (renaming relabels existing entries)
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               valence:
+ *                 type: number
+ *               color:
+ *                 type: string
+ *               emoji:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Custom mood updated
+ *       404:
+ *         description: Custom mood not found
+ *   delete:
+ *     summary: Delete a custom mood
+ *     description: If entries use the mood, replaceWith is required and those entries are reassigned.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: replaceWith
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Custom mood deleted
+ *       400:
+ *         description: Mood in use and no valid replacement given
+ *       404:
+ *         description: Custom mood not found
+ */
+
+router
+  .route("/vocabulary/moods/:id")
+  .put(vocabularyIdValidation, customMoodValidation(true), updateMood)
+  .delete(vocabularyIdValidation, deleteMood);
+
+/**
+ * @swagger
+ * /api/mood/vocabulary/activities:
+ *   post:
+ *     summary: Add a custom activity
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: gaming
+ *               category:
+ *                 type: string
+ *                 enum: [physical, social, productivity, leisure, self-care, chores, other]
+ *                 example: leisure
+ *     responses:
+ *       201:
+ *         description: Custom activity created
+ *       400:
+ *         description: Validation error or name already taken
+ */
+
+router
+  .route("/vocabulary/activities")
+  .post(customActivityValidation(false), createActivity);
+
+/**
+ * @swagger
+ * /api/mood/vocabulary/activities/{id}:
+ *   put:
+ *     summary: Update a custom activity (renaming relabels existing entries)
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Custom activity updated
+ *       404:
+ *         description: Custom activity not found
+ *   delete:
+ *     summary: Delete a custom activity
+ *     description: The activity is removed from entries, or swapped for replaceWith when given.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: replaceWith
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Custom activity deleted
+ *       404:
+ *         description: Custom activity not found
+ */
+
+router
+  .route("/vocabulary/activities/:id")
+  .put(vocabularyIdValidation, customActivityValidation(true), updateActivity)
+  .delete(vocabularyIdValidation, deleteActivity);
+
+/**
+ * @swagger
+ * /api/mood/tags:
+ *   get:
+ *     summary: List all tags with usage count and last-used day
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags sorted by usage
+ *       401:
+ *         description: Unauthorized
+ */
+
+router.route("/tags").get(getTags);
+
+/**
+ * @swagger
+ * /api/mood/tags/suggestions:
+ *   get:
+ *     summary: Tag autocomplete, most recently used first
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive prefix
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Suggested tags
+ */
+
+router
+  .route("/tags/suggestions")
+  .get(tagSuggestionValidation, getTagSuggestions);
+
+/**
+ * @swagger
+ * /api/mood/tags/merge:
+ *   post:
+ *     summary: Merge several tags into one across all entries
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sources
+ *               - target
+ *             properties:
+ *               sources:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Work", "wrk"]
+ *               target:
+ *                 type: string
+ *                 example: work
+ *     responses:
+ *       200:
+ *         description: Tags merged
+ *       400:
+ *         description: Validation error
+ */
+
+router.route("/tags/merge").post(mergeTagsValidation, mergeTags);
+
+/**
+ * @swagger
+ * /api/mood/tags/{tag}:
+ *   put:
+ *     summary: Rename a tag on every entry
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: work
+ *     responses:
+ *       200:
+ *         description: Tag renamed
+ *       404:
+ *         description: Tag not found
+ *   delete:
+ *     summary: Remove a tag from every entry
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *       404:
+ *         description: Tag not found
+ */
+
+router
+  .route("/tags/:tag")
+  .put(renameTagValidation, renameTag)
+  .delete(deleteTag);
+
+/**
+ * @swagger
+ * /api/mood/goals:
+ *   get:
+ *     summary: List activity goals with progress for the current period
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or paused (false) goals
+ *     responses:
+ *       200:
+ *         description: Goals, each with a `progress` block
+ *   post:
+ *     summary: Set a target number of days per week or month for an activity
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - activity
+ *               - targetCount
+ *             properties:
+ *               activity:
+ *                 type: string
+ *                 example: exercise
+ *               targetCount:
+ *                 type: integer
+ *                 example: 3
+ *               period:
+ *                 type: string
+ *                 enum: [week, month]
+ *                 default: week
+ *     responses:
+ *       201:
+ *         description: Goal created
+ *       400:
+ *         description: Validation error or duplicate goal
+ */
+
+router.route("/goals").get(getGoals).post(goalValidation(false), createGoal);
+
+/**
+ * @swagger
+ * /api/mood/goals/{id}:
+ *   put:
+ *     summary: Change a goal's target or pause it
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetCount:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Goal updated
+ *       404:
+ *         description: Goal not found
+ *   delete:
+ *     summary: Delete a goal
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Goal deleted
+ *       404:
+ *         description: Goal not found
+ */
+
+router
+  .route("/goals/:id")
+  .put(goalIdValidation, goalValidation(true), updateGoal)
+  .delete(goalIdValidation, deleteGoal);
+
+/**
+ * @swagger
+ * /api/mood/goals/{id}/history:
+ *   get:
+ *     summary: Per-period progress for a goal, newest first
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *         description: Number of periods to return
+ *     responses:
+ *       200:
+ *         description: History with which periods were met
+ *       404:
+ *         description: Goal not found
+ */
+
+router.get("/goals/:id/history", goalHistoryValidation, getGoalHistory);
+
+/**
+ * @swagger
+ * /api/mood/shares:
+ *   get:
+ *     summary: List your active share links
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Share links with their public URLs and view counts
+ *   post:
+ *     summary: Create a public link to an entry or a month's summary
+ *     description: Requires a verified email address.
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [entry, month]
+ *               entryId:
+ *                 type: string
+ *                 description: Required for type "entry"
+ *               month:
+ *                 type: string
+ *                 example: "2025-11"
+ *                 description: Required for type "month"
+ *               includeJournal:
+ *                 type: boolean
+ *                 default: false
+ *               includeLocation:
+ *                 type: boolean
+ *                 default: false
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Omit for a link that never expires
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Entry not found
+ */
+
+router
+  .route("/shares")
+  .get(getShareLinks)
+  .post(
+    requireVerifiedEmail("sharing"),
+    createShareValidation,
+    createShareLink
+  );
+
+/**
+ * @swagger
+ * /api/mood/shares/{id}:
+ *   put:
+ *     summary: Change what a share link reveals or when it expires
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               includeJournal:
+ *                 type: boolean
+ *               includeLocation:
+ *                 type: boolean
+ *               expiresInDays:
+ *                 type: integer
+ *                 nullable: true
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Share link updated
+ *       404:
+ *         description: Share link not found
+ *   delete:
+ *     summary: Revoke a share link
+ *     tags: [Mood]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       404:
+ *         description: Share link not found
+ */
+
+router
+  .route("/shares/:id")
+  .put(
+    requireVerifiedEmail("sharing"),
+    shareIdValidation,
+    shareOptionsValidation,
+    updateShareLink
+  )
+  .delete(shareIdValidation, revokeShareLink);
+
 export default router;
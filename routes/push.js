@@ -0,0 +1,234 @@
+import express from "express";
+import { body, param } from "express-validator";
+import {
+  getVapidPublicKey,
+  getSubscriptions,
+  subscribe,
+  unsubscribe,
+  sendTestPush,
+  receiveMockPush,
+  getMockPushInbox,
+} from "../controllers/pushController.js";
+import { protect, requireVerifiedEmail } from "../middleware/auth.js";
+import { isPushMockEnabled, getPushEndpointProblem } from "../utils/webPush.js";
+/**
+ * @swagger
+ * tags:
+ *   name: Push
+ *   description: Web Push subscriptions for reminders and nudges
+ */
+const router = express.Router();
+
+const base64UrlPattern = /^[A-Za-z0-9_-]+={0,2}$/;
+
+const subscribeValidation = [
+  body("endpoint")
+    .isURL({ protocols: ["https", "http"], require_tld: false })
+    .withMessage("Endpoint must be a valid URL")
+    .isLength({ max: 1000 })
+    .withMessage("Endpoint cannot exceed 1000 characters")
+    .bail()
+    .custom((endpoint) => {
+      const problem = getPushEndpointProblem(endpoint);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
+  body("keys.p256dh")
+    .matches(base64UrlPattern)
+    .withMessage("keys.p256dh must be a base64url string"),
+  body("keys.auth")
+    .matches(base64UrlPattern)
+    .withMessage("keys.auth must be a base64url string"),
+  body("expirationTime")
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage("expirationTime must be a timestamp in milliseconds"),
+];
+
+const unsubscribeValidation = [
+  body("endpoint").isString().withMessage("Endpoint is required"),
+];
+
+const subscriptionIdValidation = [
+  param("id").isMongoId().withMessage("Invalid subscription ID"),
+];
+
+/**
+ * @swagger
+ * /api/push/vapid-public-key:
+ *   get:
+ *     summary: VAPID public key to pass to PushManager.subscribe
+ *     tags: [Push]
+ *     responses:
+ *       200:
+ *         description: The application server key (base64url)
+ *       503:
+ *         description: Push is not configured on this server
+ */
+
+router.get("/vapid-public-key", getVapidPublicKey);
+
+if (isPushMockEnabled()) {
+  /**
+   * @swagger
+   * /api/push/mock/{token}:
+   *   post:
+   *     summary: Mock push service endpoint (PUSH_MOCK_ENABLED=true or tests only)
+   *     description: >
+   *       Use `<BASE_URL>/api/push/mock/<token>` as a subscription endpoint.
+   *       Tokens starting with "gone" answer 410 and "missing" 404.
+   *     tags: [Push]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       201:
+   *         description: Message accepted
+   *       410:
+   *         description: Subscription gone
+   *   get:
+   *     summary: Messages the mock push endpoint received
+   *     tags: [Push]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Received messages, encrypted body in base64
+   */
+
+  router.route("/mock/:token").post(receiveMockPush).get(getMockPushInbox);
+}
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/push/subscriptions:
+ *   get:
+ *     summary: List this account's push-enabled devices
+ *     tags: [Push]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions
+ *   post:
+ *     summary: Register a browser push subscription
+ *     description: Send the JSON from PushSubscription.toJSON() as-is.
+ *     tags: [Push]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *               - keys
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *                 description: >
+ *                   An https URL on a public host. IP addresses, intranet
+ *                   names and hosts resolving to private addresses are
+ *                   refused.
+ *               expirationTime:
+ *                 type: integer
+ *                 nullable: true
+ *               keys:
+ *                 type: object
+ *                 properties:
+ *                   p256dh:
+ *                     type: string
+ *                   auth:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Subscription registered
+ *       200:
+ *         description: Existing subscription updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Email address not verified
+ *   delete:
+ *     summary: Unregister a subscription by endpoint
+ *     tags: [Push]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ *       404:
+ *         description: Subscription not found
+ */
+
+router
+  .route("/subscriptions")
+  .get(getSubscriptions)
+  .post(requireVerifiedEmail("reminders"), subscribeValidation, subscribe)
+  .delete(unsubscribeValidation, unsubscribe);
+
+/**
+ * @swagger
+ * /api/push/subscriptions/{id}:
+ *   delete:
+ *     summary: Unregister a device by subscription ID
+ *     tags: [Push]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ *       404:
+ *         description: Subscription not found
+ */
+
+router.delete("/subscriptions/:id", subscriptionIdValidation, unsubscribe);
+
+/**
+ * @swagger
+ * /api/push/test:
+ *   post:
+ *     summary: Send a test notification to all of this account's devices
+ *     tags: [Push]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Delivery summary
+ *       404:
+ *         description: No subscriptions registered
+ *       503:
+ *         description: Push is not configured on this server
+ */
+
+router.post("/test", sendTestPush);
+
+export default router;
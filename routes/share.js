@@ -0,0 +1,37 @@
+import express from "express";
+import { viewShareLink } from "../controllers/shareController.js";
+import { optionalAuth } from "../middleware/auth.js";
+/**
+ * @swagger
+ * tags:
+ *   name: Share
+ *   description: Public, read-only views of shared entries and months
+ */
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/share/{token}:
+ *   get:
+ *     summary: View a shared entry or month summary
+ *     description: >
+ *       No account needed. Journal text and location are only included if
+ *       the owner enabled them for this link. A signed-in owner gets
+ *       `isOwner: true` and isn't counted as a view.
+ *     tags: [Share]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Shared content
+ *       404:
+ *         description: Link not found, revoked or expired
+ */
+
+router.get("/:token", optionalAuth, viewShareLink);
+
+export default router;
@@ -0,0 +1,60 @@
+// Usage: node scripts/backfillLocalDates.js
+// Required once when upgrading to multiple entries per day; the server logs
+// an error at startup until it has been run.
+// Gives entries created before per-user timezones a `localDate`, computed in
+// their owner's timezone (dates stored as UTC midnight keep their UTC
+// calendar day), drops the old unique per-day indexes and syncs the
+// rest with the schema.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import MoodEntry from "../models/MoodEntry.js";
+import { toLegacyDateKey } from "../utils/timezone.js";
+
+dotenv.config();
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const name of await MoodEntry.getLegacyUniqueIndexes()) {
+    await MoodEntry.collection.dropIndex(name);
+    console.log(`Dropped unique index ${name}`);
+  }
+
+  let updated = 0;
+  const userIds = await MoodEntry.distinct("user", {
+    localDate: { $exists: false },
+  });
+
+  for (const userId of userIds) {
+    const user = await User.findById(userId).select("settings.timezone");
+    const timeZone = user?.getTimeZone() || "UTC";
+
+    const entries = await MoodEntry.find({
+      user: userId,
+      localDate: { $exists: false },
+    })
+      .select("date")
+      .lean();
+
+    const operations = entries.map((entry) => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { localDate: toLegacyDateKey(entry.date, timeZone) } },
+      },
+    }));
+
+    if (operations.length > 0) {
+      const result = await MoodEntry.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+    }
+  }
+
+  await MoodEntry.syncIndexes();
+  console.log(`Backfilled localDate on ${updated} entries`);
+} catch (error) {
+  console.error("Backfill failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -0,0 +1,21 @@
+// Usage: node scripts/backfillSentiment.js
+// Scores journal sentiment on entries written before it existed, or by an
+// older lexicon. The server does the same shortly after it starts; this is
+// for running it by hand.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { backfillSentiment } from "../jobs/sentimentBackfill.js";
+
+dotenv.config();
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const updated = await backfillSentiment();
+  console.log(`Scored sentiment on ${updated} entries`);
+} catch (error) {
+  console.error("Backfill failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
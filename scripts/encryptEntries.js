@@ -0,0 +1,41 @@
+// Usage: node scripts/encryptEntries.js
+// Encrypts journal text, location and tags of entries stored before field
+// encryption, re-encrypts anything still using an old data key, and drops
+// the old full-text index. Safe to run again; finished entries are skipped.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import MoodEntry from "../models/MoodEntry.js";
+import { isEncryptionEnabled } from "../utils/fieldEncryption.js";
+
+dotenv.config();
+
+try {
+  if (!isEncryptionEnabled()) {
+    throw new Error("ENCRYPTION_MASTER_KEYS is not configured");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let updated = 0;
+  const userIds = await MoodEntry.distinct("user");
+
+  for (const userId of userIds) {
+    updated += await MoodEntry.reencryptUserEntries(userId);
+  }
+
+  // Matched words from the journal were stored with the sentiment score.
+  await MoodEntry.updateMany(
+    { "sentiment.keywords": { $exists: true } },
+    { $unset: { "sentiment.keywords": 1 } }
+  );
+
+  await MoodEntry.syncIndexes();
+  console.log(
+    `Encrypted ${updated} entries for ${userIds.length} users, indexes synced`
+  );
+} catch (error) {
+  console.error("Encryption migration failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -0,0 +1,9 @@
+import { generateKey } from "../utils/fieldEncryption.js";
+
+// Usage: node scripts/generateEncryptionKey.js [id]
+// Prints a new master key for ENCRYPTION_MASTER_KEYS. To rotate, put it in
+// front of the existing keys, run `npm run rotate:encryption-keys -- master`,
+// then remove the old key. Losing every configured key loses all journals.
+const id = process.argv[2] || new Date().toISOString().split("T")[0];
+
+console.log(`${id}:${generateKey().toString("base64")}`);
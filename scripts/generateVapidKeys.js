@@ -0,0 +1,10 @@
+import { generateVapidKeys } from "../utils/webPush.js";
+
+// Usage: node scripts/generateVapidKeys.js
+// Prints a fresh VAPID key pair for the .env file. Changing keys invalidates
+// every existing browser subscription, so generate once per environment.
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log("VAPID_SUBJECT=mailto:you@example.com");
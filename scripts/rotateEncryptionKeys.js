@@ -0,0 +1,89 @@
+// Usage:
+//   node scripts/rotateEncryptionKeys.js master
+//     Rewraps every data key with the first key in ENCRYPTION_MASTER_KEYS, so
+//     the others can be removed afterwards.
+//   node scripts/rotateEncryptionKeys.js data [userId]
+//     Gives one user, or everyone, a new data key and re-encrypts their
+//     entries with it. The old key is kept until `prune`.
+//   node scripts/rotateEncryptionKeys.js prune [userId]
+//     Re-encrypts entries still on an old data key, then deletes old keys
+//     nothing uses. Run it once DATA_KEY_CACHE_SECONDS has passed since
+//     `data`, so no server is still encrypting with a cached old key.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import MoodEntry from "../models/MoodEntry.js";
+import DataKey from "../models/DataKey.js";
+import { getEntryKeyVersions } from "../utils/entryEncryption.js";
+import { isEncryptionEnabled } from "../utils/fieldEncryption.js";
+
+dotenv.config();
+
+const [command, userId] = process.argv.slice(2);
+
+const getUserIds = async () => (userId ? [userId] : DataKey.distinct("user"));
+
+const rotateDataKeys = async () => {
+  let entries = 0;
+  const userIds = await getUserIds();
+
+  for (const id of userIds) {
+    await DataKey.rotate(id);
+    entries += await MoodEntry.reencryptUserEntries(id);
+  }
+
+  console.log(
+    `Rotated data keys for ${userIds.length} users, re-encrypted ${entries} entries`
+  );
+};
+
+const pruneDataKeys = async () => {
+  let deleted = 0;
+
+  for (const id of await getUserIds()) {
+    await MoodEntry.reencryptUserEntries(id);
+
+    const { activeVersion, keys } = await DataKey.getUserKeys(id, {
+      refresh: true,
+    });
+    const inUse = new Set([activeVersion]);
+    const cursor = MoodEntry.find({ user: id })
+      .select("encrypted")
+      .lean()
+      .cursor();
+    for await (const entry of cursor) {
+      getEntryKeyVersions(entry).forEach((version) => inUse.add(version));
+    }
+
+    const unused = [...keys.keys()].filter((version) => !inUse.has(version));
+    if (unused.length > 0) {
+      deleted += await DataKey.deleteVersions(id, unused);
+    }
+  }
+
+  console.log(`Deleted ${deleted} retired data keys`);
+};
+
+try {
+  if (!isEncryptionEnabled()) {
+    throw new Error("ENCRYPTION_MASTER_KEYS is not configured");
+  }
+  if (!["master", "data", "prune"].includes(command)) {
+    throw new Error("Command must be one of: master, data, prune");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (command === "master") {
+    const rewrapped = await DataKey.rewrapAll();
+    console.log(`Rewrapped ${rewrapped} data keys with the active master key`);
+  } else if (command === "data") {
+    await rotateDataKeys();
+  } else {
+    await pruneDataKeys();
+  }
+} catch (error) {
+  console.error("Key rotation failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -0,0 +1,37 @@
+// Usage: node scripts/setRole.js <email> <user|clinician|support|admin>
+// Bootstraps the first admin, since roles can otherwise only be changed
+// through the admin API.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User, { ROLES } from "../models/User.js";
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/setRole.js <email> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now '${user.role}'`);
+  }
+} catch (error) {
+  console.error("Failed to update role:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -10,8 +10,19 @@ import swaggerJsdoc from "swagger-jsdoc";
 
 import authRoutes from "./routes/auth.js";
 import moodRoutes from "./routes/mood.js";
+import adminRoutes from "./routes/admin.js";
+import pushRoutes from "./routes/push.js";
+import shareRoutes from "./routes/share.js";
+import circleRoutes from "./routes/circle.js";
+import careRoutes from "./routes/care.js";
 
 import errorHandler from "./middleware/errorHandler.js";
+import { startAccountPurgeJob } from "./jobs/accountPurge.js";
+import { startReminderJob } from "./jobs/reminders.js";
+import { startSentimentBackfillJob } from "./jobs/sentimentBackfill.js";
+import { isEncryptionEnabled } from "./utils/fieldEncryption.js";
+import { getMailTransport } from "./utils/mailer.js";
+import MoodEntry from "./models/MoodEntry.js";
 
 dotenv.config();
 
@@ -90,6 +101,11 @@ app.get("/api/health", (req, res) => {
 
 app.use("/api/auth", authRoutes);
 app.use("/api/mood", moodRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/push", pushRoutes);
+app.use("/api/share", shareRoutes);
+app.use("/api/circle", circleRoutes);
+app.use("/api/care", careRoutes);
 
 app.use("/api/*", (req, res) => {
   res.status(404).json({
@@ -121,6 +137,23 @@ const startServer = async () => {
   try {
     await connectDB();
 
+    // Fails startup when no mail transport is configured in production.
+    await getMailTransport();
+
+    if (!isEncryptionEnabled()) {
+      console.warn(
+        "⚠️  ENCRYPTION_MASTER_KEYS is not set, journal text is stored unencrypted"
+      );
+    }
+
+    const legacyIndexes = await MoodEntry.getLegacyUniqueIndexes();
+    if (legacyIndexes.length > 0) {
+      const names = legacyIndexes.join(", ");
+      console.error(
+        `❌ Legacy unique index ${names} on moodentries rejects a second entry on the same day. Run "node scripts/backfillLocalDates.js" to drop it.`
+      );
+    }
+
     const server = app.listen(PORT, () => {
       console.log(
         `🚀 Server running in ${
@@ -131,6 +164,10 @@ const startServer = async () => {
       console.log(`❤️  Health check: http://localhost:${PORT}/api/health`);
     });
 
+    startAccountPurgeJob();
+    startReminderJob();
+    startSentimentBackfillJob();
+
     process.on("SIGTERM", () => {
       console.log("SIGTERM received, shutting down gracefully");
       server.close(() => {
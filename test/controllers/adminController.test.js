@@ -0,0 +1,82 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../../models/User.js";
+import Session from "../../models/Session.js";
+import {
+  deactivateUser,
+  reactivateUser,
+} from "../../controllers/adminController.js";
+
+const createResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const createAccount = (role, isActive = true) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role,
+  isActive,
+  save: async () => {},
+});
+
+const run = async (handler, actor, target) => {
+  mock.method(User, "findById", async () => target);
+  mock.method(Session, "revokeAllForUser", async () => {});
+
+  const res = createResponse();
+  await handler(
+    { params: { id: String(target._id) }, user: actor },
+    res,
+    (error) => assert.fail(error)
+  );
+  return res;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("deactivateUser / reactivateUser", () => {
+  it("lets support staff manage regular users", async () => {
+    const target = createAccount("user");
+
+    const res = await run(deactivateUser, createAccount("support"), target);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(target.isActive, false);
+  });
+
+  it("stops support staff from changing staff accounts", async () => {
+    const support = createAccount("support");
+
+    for (const role of ["admin", "support", "clinician"]) {
+      const active = createAccount(role);
+      const inactive = createAccount(role, false);
+
+      const deactivated = await run(deactivateUser, support, active);
+      const reactivated = await run(reactivateUser, support, inactive);
+
+      assert.equal(deactivated.statusCode, 403);
+      assert.equal(reactivated.statusCode, 403);
+      assert.equal(active.isActive, true);
+      assert.equal(inactive.isActive, false);
+    }
+  });
+
+  it("lets admins manage staff accounts", async () => {
+    const target = createAccount("support");
+
+    const res = await run(deactivateUser, createAccount("admin"), target);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(target.isActive, false);
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, before, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Session from "../../models/Session.js";
+import User from "../../models/User.js";
+import {
+  refreshToken,
+  forgotPassword,
+} from "../../controllers/authController.js";
+import { setMailTransport } from "../../utils/mailer.js";
+import {
+  hashToken,
+  buildRefreshToken,
+  parseRefreshToken,
+} from "../../utils/tokens.js";
+
+const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const createRequest = (body) => ({
+  body,
+  ip: "127.0.0.1",
+  get: () => "node-test",
+});
+
+// Session documents backed by an in-memory map instead of MongoDB. Every
+// lookup hydrates its own copy, as separate queries would.
+const mockSessions = () => {
+  const sessions = new Map();
+
+  const load = (id) => {
+    const stored = sessions.get(String(id));
+    if (!stored) return null;
+    const session = Session.hydrate(stored.toObject());
+    session.deleteOne = async () => sessions.delete(String(id));
+    return session;
+  };
+
+  mock.method(Session, "findById", (id) => ({
+    select: async () => load(id),
+  }));
+
+  // Mirrors the atomic compare-and-swap MongoDB does on the filter.
+  mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+    const stored = sessions.get(String(filter._id));
+    if (!stored || stored.refreshTokenHash !== filter.refreshTokenHash) {
+      return null;
+    }
+    Object.assign(stored, update);
+    return load(filter._id);
+  });
+
+  mock.method(Session, "deleteOne", async (filter) => {
+    sessions.delete(String(filter._id));
+  });
+
+  const create = (secret) => {
+    const session = new Session({
+      user: new mongoose.Types.ObjectId(),
+      refreshTokenHash: hashToken(secret),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    sessions.set(String(session._id), session);
+    return session;
+  };
+
+  return { sessions, create };
+};
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("refreshToken", () => {
+  it("rotates the secret and returns a new token pair", async () => {
+    const { create } = mockSessions();
+    const session = create("first-secret");
+    mock.method(User, "findById", async () => ({
+      _id: session.user,
+      isActive: true,
+    }));
+
+    const res = createResponse();
+    await refreshToken(
+      createRequest({
+        refreshToken: buildRefreshToken(session._id, "first-secret"),
+      }),
+      res,
+      (error) => assert.fail(error)
+    );
+
+    assert.equal(res.statusCode, 200);
+    const parsed = parseRefreshToken(res.body.refreshToken);
+    assert.equal(parsed.sessionId, String(session._id));
+    assert.notEqual(parsed.secret, "first-secret");
+    assert.equal(session.refreshTokenHash, hashToken(parsed.secret));
+    assert.ok(res.body.token);
+  });
+
+  it("revokes the session when a rotated token is replayed", async () => {
+    const { sessions, create } = mockSessions();
+    const session = create("first-secret");
+    mock.method(User, "findById", async () => ({
+      _id: session.user,
+      isActive: true,
+    }));
+
+    const oldToken = buildRefreshToken(session._id, "first-secret");
+    await refreshToken(
+      createRequest({ refreshToken: oldToken }),
+      createResponse(),
+      (error) => assert.fail(error)
+    );
+
+    const res = createResponse();
+    await refreshToken(
+      createRequest({ refreshToken: oldToken }),
+      res,
+      (error) => assert.fail(error)
+    );
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(sessions.has(String(session._id)), false);
+  });
+
+  it("lets only one of two concurrent refreshes rotate the token", async () => {
+    const { sessions, create } = mockSessions();
+    const session = create("first-secret");
+    mock.method(User, "findById", async () => ({
+      _id: session.user,
+      isActive: true,
+    }));
+
+    const token = buildRefreshToken(session._id, "first-secret");
+    const responses = [createResponse(), createResponse()];
+    await Promise.all(
+      responses.map((res) =>
+        refreshToken(createRequest({ refreshToken: token }), res, (error) =>
+          assert.fail(error)
+        )
+      )
+    );
+
+    const statuses = responses.map((res) => res.statusCode).sort();
+    assert.deepEqual(statuses, [200, 401]);
+    assert.equal(sessions.has(String(session._id)), false);
+  });
+
+  it("rejects expired sessions", async () => {
+    const { create } = mockSessions();
+    const session = create("secret");
+    session.expiresAt = new Date(Date.now() - 1000);
+
+    const res = createResponse();
+    await refreshToken(
+      createRequest({ refreshToken: buildRefreshToken(session._id, "secret") }),
+      res,
+      (error) => assert.fail(error)
+    );
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("rejects tokens for unknown sessions", async () => {
+    mockSessions();
+
+    const res = createResponse();
+    await refreshToken(
+      createRequest({
+        refreshToken: buildRefreshToken(
+          new mongoose.Types.ObjectId(),
+          "secret"
+        ),
+      }),
+      res,
+      (error) => assert.fail(error)
+    );
+
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("forgotPassword", () => {
+  afterEach(() => {
+    setMailTransport(undefined);
+  });
+
+  const forgot = async (email) => {
+    const res = createResponse();
+    await forgotPassword(createRequest({ email }), res, (error) =>
+      assert.fail(error)
+    );
+    return res;
+  };
+
+  it("answers the same when sending fails as for unknown emails", async () => {
+    const user = {
+      email: "known@example.com",
+      username: "known",
+      isActive: true,
+      createPasswordResetToken: () => "reset-token",
+      save: async () => user,
+    };
+    mock.method(User, "findOne", async ({ email }) =>
+      email === user.email ? user : null
+    );
+    setMailTransport({
+      name: "failing",
+      send: async () => {
+        throw new Error("SMTP down");
+      },
+    });
+    mock.method(console, "error", () => {});
+
+    const unknown = await forgot("unknown@example.com");
+    const failed = await forgot("known@example.com");
+
+    assert.equal(failed.statusCode, 200);
+    assert.deepEqual(failed.body, unknown.body);
+    assert.equal(user.passwordResetToken, undefined);
+  });
+});
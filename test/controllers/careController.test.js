@@ -0,0 +1,80 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import ClinicianLink from "../../models/ClinicianLink.js";
+import {
+  getPatients,
+  getPatientReport,
+} from "../../controllers/careController.js";
+import { addDays, getTodayKey } from "../../utils/timezone.js";
+
+const createResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const patient = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "patient",
+  isActive: true,
+  settings: { timezone: "UTC" },
+};
+const link = { _id: new mongoose.Types.ObjectId(), user: patient };
+
+const run = async (handler, query) => {
+  const res = createResponse();
+  await handler(
+    {
+      params: { patientId: String(patient._id) },
+      query,
+      user: { _id: new mongoose.Types.ObjectId() },
+    },
+    res,
+    (error) => assert.fail(error)
+  );
+  return res;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("report ranges", () => {
+  const today = getTodayKey("UTC");
+
+  it("caps the range when endDate defaults to today", async () => {
+    mock.method(ClinicianLink, "findOne", () => ({
+      populate: async () => link,
+    }));
+    mock.method(ClinicianLink, "find", () => ({
+      populate: () => ({ sort: async () => [link] }),
+    }));
+    const startDate = addDays(today, -400);
+
+    const report = await run(getPatientReport, { startDate });
+    const dashboard = await run(getPatients, { startDate });
+
+    for (const res of [report, dashboard]) {
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, "Range cannot exceed 366 days");
+    }
+  });
+
+  it("rejects a start date after the defaulted end date", async () => {
+    mock.method(ClinicianLink, "findOne", () => ({
+      populate: async () => link,
+    }));
+
+    const res = await run(getPatientReport, { startDate: addDays(today, 5) });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Start date cannot be after end date");
+  });
+});
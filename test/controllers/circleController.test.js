@@ -0,0 +1,87 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../../models/User.js";
+import SupportContact from "../../models/SupportContact.js";
+import { inviteContact } from "../../controllers/circleController.js";
+import { setMailTransport } from "../../utils/mailer.js";
+
+const createResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const inviter = { _id: new mongoose.Types.ObjectId(), username: "inviter" };
+const invitee = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "friend",
+  email: "friend@example.com",
+};
+
+const invite = async (identifier) => {
+  const res = createResponse();
+  await inviteContact({ body: { identifier }, user: inviter }, res, (error) =>
+    assert.fail(error)
+  );
+  return res;
+};
+
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+  setMailTransport(undefined);
+  mock.restoreAll();
+});
+
+describe("inviteContact", () => {
+  it("answers the same for unknown, new and already invited people", async () => {
+    const links = [];
+    mock.method(User, "findOne", async (query) =>
+      query.email === invitee.email ? invitee : null
+    );
+    mock.method(SupportContact, "exists", async ({ contact }) =>
+      links.some((link) => String(link.contact) === String(contact))
+    );
+    mock.method(SupportContact, "create", async (link) => links.push(link));
+
+    const unknown = await invite("nobody@example.com");
+    const invited = await invite("friend@example.com");
+    const again = await invite("friend@example.com");
+
+    for (const res of [invited, again]) {
+      assert.equal(res.statusCode, unknown.statusCode);
+      assert.deepEqual(res.body, unknown.body);
+    }
+    assert.equal(links.length, 1);
+    assert.equal(links[0].invitedAs, "friend@example.com");
+  });
+
+  it("doesn't email invitees whose address isn't verified", async () => {
+    process.env.NOTIFICATION_CHANNELS = "email";
+    const mails = [];
+    setMailTransport({
+      name: "memory",
+      send: async (mail) => mails.push(mail),
+    });
+    mock.method(SupportContact, "exists", async () => false);
+    mock.method(SupportContact, "create", async (link) => link);
+
+    for (const emailVerified of [false, true]) {
+      mock.method(User, "findOne", async () => ({ ...invitee, emailVerified }));
+      await invite("friend@example.com");
+      // The notification is sent without holding up the response.
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    assert.equal(mails.length, 1);
+    assert.equal(mails[0].to, invitee.email);
+  });
+});
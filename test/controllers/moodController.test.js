@@ -0,0 +1,130 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import MoodEntry from "../../models/MoodEntry.js";
+import { searchEntries } from "../../controllers/moodController.js";
+
+const createResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const user = new mongoose.Types.ObjectId();
+
+// Newest first, the way the search query sorts them.
+const createEntries = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user,
+    localDate: `2024-01-${String(31 - (index % 31)).padStart(2, "0")}`,
+    date: new Date(Date.UTC(2024, 0, 31 - (index % 31))),
+    mood: "happy",
+    moodIntensity: 7,
+    journalEntry: index % 2 === 0 ? "Walked with my sister" : "Quiet day",
+  }));
+
+const byNewest = (a, b) =>
+  b.date - a.date || String(b._id).localeCompare(String(a._id));
+
+// Stands in for find().sort().limit().lean().cursor(): applies the
+// continuation cursor's $or, sorts newest first and honours the limit.
+const mockFind = (entries) => {
+  const calls = { limit: null, filter: null };
+  mock.method(MoodEntry, "find", (filter) => {
+    calls.filter = filter;
+    const matchesCursor = (entry) =>
+      !filter.$or ||
+      filter.$or.some(
+        ({ date, _id }) =>
+          (date.$lt && entry.date < date.$lt) ||
+          (_id &&
+            entry.date.getTime() === date.getTime() &&
+            String(entry._id) < _id.$lt)
+      );
+    const query = {
+      sort: () => query,
+      limit: (value) => {
+        calls.limit = value;
+        return query;
+      },
+      lean: () => query,
+      cursor: () =>
+        entries
+          .filter(matchesCursor)
+          .sort(byNewest)
+          .slice(0, calls.limit ?? entries.length)
+          .values(),
+    };
+    return query;
+  });
+  return calls;
+};
+
+const search = async (query) => {
+  const res = createResponse();
+  await searchEntries({ query, user: { id: user } }, res, (error) =>
+    assert.fail(error)
+  );
+  return res;
+};
+
+afterEach(() => {
+  delete process.env.SEARCH_SCAN_LIMIT;
+  mock.restoreAll();
+});
+
+describe("searchEntries", () => {
+  it("searches every entry when there are fewer than the scan limit", async () => {
+    mockFind(createEntries(30));
+
+    const res = await search({ q: "sister" });
+
+    assert.equal(res.body.total, 15);
+    assert.equal(res.body.scanned, 30);
+    assert.equal(res.body.truncated, false);
+    assert.equal(res.body.nextCursor, null);
+  });
+
+  it("stops at SEARCH_SCAN_LIMIT and says so", async () => {
+    process.env.SEARCH_SCAN_LIMIT = "250";
+    const entries = createEntries(400);
+    const calls = mockFind(entries);
+
+    const res = await search({ q: "sister", limit: "5" });
+
+    const last = [...entries].sort(byNewest)[249];
+    assert.equal(calls.limit, 251);
+    assert.equal(res.body.scanned, 250);
+    assert.equal(res.body.total, 125);
+    assert.equal(res.body.count, 5);
+    assert.equal(res.body.truncated, true);
+    assert.equal(res.body.nextCursor, `${last.date.toISOString()}_${last._id}`);
+  });
+
+  it("continues after the cursor without repeating or skipping entries", async () => {
+    process.env.SEARCH_SCAN_LIMIT = "250";
+    mockFind(createEntries(400));
+
+    const first = await search({ q: "sister", limit: "100" });
+    const second = await search({
+      q: "sister",
+      limit: "100",
+      cursor: first.body.nextCursor,
+    });
+
+    assert.equal(second.body.scanned, 150);
+    assert.equal(second.body.truncated, false);
+    assert.equal(first.body.total + second.body.total, 200);
+    const ids = [...first.body.data, ...second.body.data].map((entry) =>
+      String(entry.id)
+    );
+    assert.equal(new Set(ids).size, ids.length);
+  });
+});
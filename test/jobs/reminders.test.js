@@ -0,0 +1,77 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import ReminderLog from "../../models/ReminderLog.js";
+import { getDueReminderDate } from "../../jobs/reminders.js";
+import { shouldRunJobs } from "../../utils/jobs.js";
+
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+  mock.restoreAll();
+});
+
+const user = (reminderTime) => ({
+  settings: { reminderTime, timezone: "UTC" },
+});
+
+describe("getDueReminderDate", () => {
+  it("is due within the catch-up window on the same day", () => {
+    const now = new Date("2026-03-10T20:30:00Z");
+
+    assert.equal(getDueReminderDate(user("20:00"), now), "2026-03-10");
+    assert.equal(getDueReminderDate(user("08:00"), now), null);
+    assert.equal(getDueReminderDate(user("21:00"), now), null);
+  });
+
+  it("keeps a late reminder due past midnight for the day it was set", () => {
+    const now = new Date("2026-03-11T00:30:00Z");
+
+    assert.equal(getDueReminderDate(user("23:30"), now), "2026-03-10");
+    assert.equal(getDueReminderDate(user("20:00"), now), null);
+  });
+});
+
+describe("ReminderLog.claim", () => {
+  const duplicate = () =>
+    Object.assign(new Error("duplicate key"), { code: 11000 });
+
+  it("takes over only failed or stalled claims from an earlier run", async () => {
+    mock.method(ReminderLog, "create", async () => {
+      throw duplicate();
+    });
+    const retry = mock.method(ReminderLog, "findOneAndUpdate", async () => ({
+      status: "sending",
+    }));
+
+    const log = await ReminderLog.claim("user-id", "2026-03-10");
+
+    assert.equal(log.status, "sending");
+    const [filter] = retry.mock.calls[0].arguments;
+    assert.deepEqual(filter.status, { $in: ["sending", "failed"] });
+    assert.ok(filter.updatedAt.$lte < new Date());
+  });
+});
+
+describe("shouldRunJobs", () => {
+  it("runs jobs on the first PM2 instance only", () => {
+    delete process.env.RUN_JOBS;
+
+    process.env.NODE_APP_INSTANCE = "0";
+    assert.equal(shouldRunJobs(), true);
+    process.env.NODE_APP_INSTANCE = "3";
+    assert.equal(shouldRunJobs(), false);
+    delete process.env.NODE_APP_INSTANCE;
+    assert.equal(shouldRunJobs(), true);
+  });
+
+  it("lets RUN_JOBS override the instance check", () => {
+    process.env.NODE_APP_INSTANCE = "3";
+    process.env.RUN_JOBS = "true";
+    assert.equal(shouldRunJobs(), true);
+
+    process.env.NODE_APP_INSTANCE = "0";
+    process.env.RUN_JOBS = "false";
+    assert.equal(shouldRunJobs(), false);
+  });
+});
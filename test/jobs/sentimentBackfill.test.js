@@ -0,0 +1,44 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import MoodEntry from "../../models/MoodEntry.js";
+import { backfillSentiment } from "../../jobs/sentimentBackfill.js";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("backfillSentiment", () => {
+  it("skips entries that fail to decrypt and scores the rest", async () => {
+    const entries = ["good day", "unreadable", "great walk"].map(
+      (journalEntry) => ({ _id: new mongoose.Types.ObjectId(), journalEntry })
+    );
+    const batches = [entries, []];
+
+    mock.method(MoodEntry, "find", () => {
+      const query = {
+        sort: () => query,
+        select: () => query,
+        limit: () => query,
+        lean: async () => batches.shift(),
+      };
+      return query;
+    });
+    mock.method(MoodEntry, "decryptEntries", async ([entry]) => {
+      if (entry.journalEntry === "unreadable") {
+        throw new Error("Data key version 1 no longer exists");
+      }
+    });
+    const bulkWrite = mock.method(MoodEntry, "bulkWrite", async () => ({}));
+    mock.method(console, "error", () => {});
+
+    const updated = await backfillSentiment();
+
+    assert.equal(updated, 2);
+    const [operations] = bulkWrite.mock.calls[0].arguments;
+    assert.deepEqual(
+      operations.map((operation) => operation.updateOne.filter._id),
+      [entries[0]._id, entries[2]._id]
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, before, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Session from "../../models/Session.js";
+import User from "../../models/User.js";
+import { protect, requireVerifiedEmail } from "../../middleware/auth.js";
+import {
+  signAccessToken,
+  signEmailVerificationToken,
+} from "../../utils/tokens.js";
+
+const createResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const run = async (middleware, req) => {
+  const res = createResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+};
+
+const env = { ...process.env };
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+afterEach(() => {
+  process.env = { ...env, JWT_SECRET: "test-secret" };
+  mock.restoreAll();
+});
+
+describe("protect", () => {
+  const user = {
+    _id: "64b7f0c2a1b2c3d4e5f60718",
+    isActive: true,
+    changedPasswordAfter: () => false,
+  };
+
+  const withBearer = (token) => ({
+    headers: { authorization: `Bearer ${token}` },
+  });
+
+  const sessionId = "64b7f0c2a1b2c3d4e5f60719";
+
+  it("accepts access tokens", async () => {
+    mock.method(User, "findById", () => ({ select: async () => user }));
+    mock.method(Session, "exists", async () => ({ _id: sessionId }));
+
+    const { nextCalled } = await run(
+      protect,
+      withBearer(signAccessToken(user._id, sessionId))
+    );
+
+    assert.equal(nextCalled, true);
+  });
+
+  it("rejects access tokens without a session", async () => {
+    mock.method(User, "findById", () => ({ select: async () => user }));
+    mock.method(Session, "exists", async () => ({ _id: sessionId }));
+
+    const { res, nextCalled } = await run(
+      protect,
+      withBearer(signAccessToken(user._id))
+    );
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("rejects access tokens for revoked sessions", async () => {
+    mock.method(User, "findById", () => ({ select: async () => user }));
+    mock.method(Session, "exists", async () => null);
+
+    const { res, nextCalled } = await run(
+      protect,
+      withBearer(signAccessToken(user._id, sessionId))
+    );
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("rejects email verification tokens", async () => {
+    mock.method(User, "findById", () => ({ select: async () => user }));
+
+    const { res, nextCalled } = await run(
+      protect,
+      withBearer(
+        signEmailVerificationToken({ _id: user._id, email: "a@example.com" })
+      )
+    );
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("requireVerifiedEmail", () => {
+  it("blocks unverified users from gated features", async () => {
+    delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+
+    for (const feature of ["reminders", "sharing"]) {
+      const { res, nextCalled } = await run(requireVerifiedEmail(feature), {
+        user: { emailVerified: false },
+      });
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 403);
+    }
+  });
+
+  it("lets verified users and ungated features through", async () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = "sharing";
+
+    const verified = await run(requireVerifiedEmail("sharing"), {
+      user: { emailVerified: true },
+    });
+    const ungated = await run(requireVerifiedEmail("reminders"), {
+      user: { emailVerified: false },
+    });
+
+    assert.equal(verified.nextCalled, true);
+    assert.equal(ungated.nextCalled, true);
+  });
+});
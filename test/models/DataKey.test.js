@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import DataKey from "../../models/DataKey.js";
+
+const original = process.env.ENCRYPTION_MASTER_KEYS;
+
+// DataKey documents kept in an array instead of MongoDB.
+const mockStore = () => {
+  const documents = [];
+
+  mock.method(DataKey, "find", ({ user }) => ({
+    lean: async () =>
+      documents.filter((document) => String(document.user) === String(user)),
+  }));
+  mock.method(DataKey, "findOne", ({ user }) => ({
+    sort: async () =>
+      documents
+        .filter((document) => String(document.user) === String(user))
+        .sort((a, b) => b.version - a.version)[0] || null,
+  }));
+  mock.method(DataKey, "create", async (document) => {
+    documents.push(document);
+    return document;
+  });
+
+  return documents;
+};
+
+beforeEach(() => {
+  process.env.ENCRYPTION_MASTER_KEYS = `k1:${crypto
+    .randomBytes(32)
+    .toString("base64")}`;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  if (original === undefined) delete process.env.ENCRYPTION_MASTER_KEYS;
+  else process.env.ENCRYPTION_MASTER_KEYS = original;
+});
+
+describe("DataKey.getUserKeys", () => {
+  it("creates a user's first key and caches it", async () => {
+    const documents = mockStore();
+    const user = new mongoose.Types.ObjectId();
+
+    const first = await DataKey.getUserKeys(user);
+    const second = await DataKey.getUserKeys(user);
+
+    assert.equal(documents.length, 1);
+    assert.equal(first.activeVersion, 1);
+    assert.equal(first.keys.get(1).key.length, 32);
+    assert.equal(second, first);
+  });
+});
+
+describe("DataKey.rotate", () => {
+  it("adds a new active version and keeps the old one", async () => {
+    mockStore();
+    const user = new mongoose.Types.ObjectId();
+
+    const before = await DataKey.getUserKeys(user);
+    const version = await DataKey.rotate(user);
+    const after = await DataKey.getUserKeys(user);
+
+    assert.equal(version, 2);
+    assert.equal(after.activeVersion, 2);
+    assert.deepEqual(after.keys.get(1).key, before.keys.get(1).key);
+    assert.notDeepEqual(after.keys.get(2).key, after.keys.get(1).key);
+  });
+
+  it("drops pruned versions from the cache", async () => {
+    const documents = mockStore();
+    mock.method(DataKey, "deleteMany", async ({ version }) => {
+      const remaining = documents.filter(
+        (document) => !version.$in.includes(document.version)
+      );
+      const deletedCount = documents.length - remaining.length;
+      documents.splice(0, documents.length, ...remaining);
+      return { deletedCount };
+    });
+    const user = new mongoose.Types.ObjectId();
+
+    await DataKey.getUserKeys(user);
+    await DataKey.rotate(user);
+    assert.equal(await DataKey.deleteVersions(user, [1]), 1);
+
+    const { keys } = await DataKey.getUserKeys(user);
+    assert.deepEqual([...keys.keys()], [2]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import MoodEntry from "../../models/MoodEntry.js";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("MoodEntry.getLegacyUniqueIndexes", () => {
+  it("finds the old one-entry-per-day unique index", async () => {
+    mock.method(MoodEntry.collection, "indexes", async () => [
+      { name: "_id_" },
+      { name: "user_1_date_1", unique: true },
+      { name: "user_1_localDate_1_date_1" },
+    ]);
+
+    assert.deepEqual(await MoodEntry.getLegacyUniqueIndexes(), [
+      "user_1_date_1",
+    ]);
+  });
+
+  it("ignores the same index once it is no longer unique", async () => {
+    mock.method(MoodEntry.collection, "indexes", async () => [
+      { name: "user_1_date_1" },
+    ]);
+
+    assert.deepEqual(await MoodEntry.getLegacyUniqueIndexes(), []);
+  });
+
+  it("treats a missing collection as having no indexes", async () => {
+    mock.method(MoodEntry.collection, "indexes", async () => {
+      const error = new Error("ns does not exist");
+      error.codeName = "NamespaceNotFound";
+      throw error;
+    });
+
+    assert.deepEqual(await MoodEntry.getLegacyUniqueIndexes(), []);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import DataKey from "../../models/DataKey.js";
+import MoodEntry from "../../models/MoodEntry.js";
+import {
+  encryptEntryFields,
+  restoreEntryFields,
+  decryptEntries,
+  getTagIndexValues,
+  getEntryKeyVersions,
+  needsReencryption,
+} from "../../utils/entryEncryption.js";
+import { generateKey, deriveIndexKey } from "../../utils/fieldEncryption.js";
+
+const original = process.env.ENCRYPTION_MASTER_KEYS;
+
+// A keyring with versions 1..`versions`, the last one active, that can be
+// rotated in place.
+const mockKeyring = (versions = 1) => {
+  const keyring = { activeVersion: 0, keys: new Map() };
+  const rotate = () => {
+    const key = generateKey();
+    keyring.activeVersion += 1;
+    keyring.keys.set(keyring.activeVersion, {
+      key,
+      indexKey: deriveIndexKey(key),
+    });
+  };
+  for (let i = 0; i < versions; i++) rotate();
+
+  mock.method(DataKey, "getUserKeys", async () => keyring);
+  return { keyring, rotate };
+};
+
+const createEntry = (fields) =>
+  new MoodEntry({
+    user: new mongoose.Types.ObjectId(),
+    date: new Date("2024-03-01T09:00:00Z"),
+    localDate: "2024-03-01",
+    mood: "happy",
+    moodIntensity: 7,
+    journalEntry: "Lunch with my sister",
+    location: "Berlin",
+    tags: ["family", "food"],
+    ...fields,
+  });
+
+// What a lean query would return for the saved document.
+const toStored = (entry) => entry.toObject({ depopulate: true });
+
+beforeEach(() => {
+  process.env.ENCRYPTION_MASTER_KEYS = `k1:${crypto
+    .randomBytes(32)
+    .toString("base64")}`;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  if (original === undefined) delete process.env.ENCRYPTION_MASTER_KEYS;
+  else process.env.ENCRYPTION_MASTER_KEYS = original;
+});
+
+describe("encryptEntryFields", () => {
+  it("replaces plaintext with ciphertext and a tag index", async () => {
+    mockKeyring();
+    const entry = createEntry();
+
+    await encryptEntryFields(entry);
+    const stored = toStored(entry);
+
+    assert.equal(stored.journalEntry, undefined);
+    assert.equal(stored.location, undefined);
+    assert.ok(!stored.tags?.length);
+    assert.match(stored.encrypted.journalEntry, /^enc1:1:/);
+    assert.match(stored.encrypted.tags, /^enc1:1:/);
+    assert.equal(stored.tagIndex.length, 2);
+    assert.ok(!JSON.stringify(stored).includes("sister"));
+  });
+
+  it("gives the plaintext back after saving", async () => {
+    mockKeyring();
+    const entry = createEntry();
+
+    await encryptEntryFields(entry);
+    restoreEntryFields(entry);
+
+    assert.equal(entry.journalEntry, "Lunch with my sister");
+    assert.deepEqual([...entry.tags], ["family", "food"]);
+  });
+
+  it("stores plaintext when encryption is off", async () => {
+    process.env.ENCRYPTION_MASTER_KEYS = "";
+    const entry = createEntry();
+
+    await encryptEntryFields(entry);
+
+    assert.equal(entry.journalEntry, "Lunch with my sister");
+    assert.equal(entry.encrypted?.journalEntry, undefined);
+  });
+});
+
+describe("decryptEntries", () => {
+  it("round-trips lean entries and hides the ciphertext", async () => {
+    mockKeyring();
+    const entry = createEntry();
+    await encryptEntryFields(entry);
+
+    const [decrypted] = await decryptEntries([toStored(entry)]);
+
+    assert.equal(decrypted.journalEntry, "Lunch with my sister");
+    assert.equal(decrypted.location, "Berlin");
+    assert.deepEqual(decrypted.tags, ["family", "food"]);
+    assert.equal(decrypted.encrypted, undefined);
+    assert.equal(decrypted.tagIndex, undefined);
+  });
+
+  it("refuses ciphertext copied onto another entry", async () => {
+    mockKeyring();
+    const source = createEntry();
+    await encryptEntryFields(source);
+
+    const target = toStored(createEntry({ user: source.user }));
+    target.encrypted = toStored(source).encrypted;
+
+    await assert.rejects(decryptEntries([target]), /Could not decrypt/);
+  });
+
+  it("passes plaintext entries through", async () => {
+    const entries = [{ _id: 1, journalEntry: "old entry", tags: ["a"] }];
+
+    assert.deepEqual(await decryptEntries(entries), [
+      { _id: 1, journalEntry: "old entry", tags: ["a"] },
+    ]);
+  });
+});
+
+describe("key rotation", () => {
+  it("reads old versions and re-encrypts under the active one", async () => {
+    const { keyring, rotate } = mockKeyring();
+    const entry = createEntry();
+    await encryptEntryFields(entry);
+    restoreEntryFields(entry);
+    const stored = toStored(entry);
+
+    rotate();
+
+    assert.deepEqual(getEntryKeyVersions(stored), [1, 1, 1]);
+    assert.ok(needsReencryption(entry, keyring.activeVersion));
+
+    const [decrypted] = await decryptEntries([{ ...stored }]);
+    assert.equal(decrypted.journalEntry, "Lunch with my sister");
+
+    // What reencryptUserEntries and the save hook do per entry.
+    const reloaded = MoodEntry.hydrate(stored);
+    await decryptEntries([reloaded]);
+    await encryptEntryFields(reloaded);
+
+    assert.deepEqual(getEntryKeyVersions(reloaded), [2, 2, 2]);
+    assert.equal(needsReencryption(reloaded, keyring.activeVersion), false);
+  });
+
+  it("finds tags hashed under any of the user's key versions", async () => {
+    const { rotate } = mockKeyring();
+    const entry = createEntry();
+    await encryptEntryFields(entry);
+    const oldIndex = [...entry.tagIndex];
+
+    rotate();
+    const hashes = await getTagIndexValues(entry.user, ["family"]);
+
+    assert.equal(hashes.length, 2);
+    assert.ok(hashes.includes(oldIndex[0]));
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { csvFormat } from "../../utils/exportFormats.js";
+import { parseCsv } from "../../utils/csv.js";
+
+const entry = (fields) => ({
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  date: new Date("2024-03-01T09:00:00Z"),
+  localDate: "2024-03-01",
+  mood: "happy",
+  moodIntensity: 7,
+  ...fields,
+});
+
+const exportCells = (fields) =>
+  parseCsv(csvFormat.header() + csvFormat.entry(entry(fields)))[1];
+
+describe("csvFormat", () => {
+  it("neutralizes cells that spreadsheets would run as formulas", () => {
+    for (const text of [
+      '=HYPERLINK("http://evil")',
+      "+1+1",
+      "-2+3",
+      "@SUM(A1)",
+      "\tindented",
+      "\rreturn",
+    ]) {
+      const cells = exportCells({ journalEntry: text, location: text });
+
+      assert.equal(cells[5], `'${text}`);
+      assert.equal(cells[10], `'${text}`);
+    }
+  });
+
+  it("escapes formula tags and activities", () => {
+    const cells = exportCells({ tags: ["=cmd", "work"] });
+
+    assert.equal(cells[6], "'=cmd;work");
+  });
+
+  it("leaves ordinary text and numbers alone", () => {
+    const cells = exportCells({
+      journalEntry: "Good day, all things considered",
+    });
+
+    assert.equal(cells[4], "7");
+    assert.equal(cells[5], "Good day, all things considered");
+  });
+});
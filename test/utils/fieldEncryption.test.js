@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  getMasterKeys,
+  isEncryptionEnabled,
+  generateKey,
+  wrapDataKey,
+  unwrapDataKey,
+  deriveIndexKey,
+  hashIndexValue,
+  isEncryptedValue,
+  getValueKeyVersion,
+  encryptValue,
+  decryptValue,
+} from "../../utils/fieldEncryption.js";
+
+const masterKey = () => crypto.randomBytes(32).toString("base64");
+const original = process.env.ENCRYPTION_MASTER_KEYS;
+
+beforeEach(() => {
+  process.env.ENCRYPTION_MASTER_KEYS = `k1:${masterKey()}`;
+});
+
+after(() => {
+  if (original === undefined) delete process.env.ENCRYPTION_MASTER_KEYS;
+  else process.env.ENCRYPTION_MASTER_KEYS = original;
+});
+
+describe("getMasterKeys", () => {
+  it("uses the first key to wrap", () => {
+    process.env.ENCRYPTION_MASTER_KEYS = `new:${masterKey()}, old:${masterKey()}`;
+
+    const { activeId, keys } = getMasterKeys();
+    assert.equal(activeId, "new");
+    assert.deepEqual([...keys.keys()], ["new", "old"]);
+  });
+
+  it("is disabled without keys", () => {
+    process.env.ENCRYPTION_MASTER_KEYS = "";
+
+    assert.equal(isEncryptionEnabled(), false);
+    assert.throws(() => wrapDataKey(generateKey()), /not configured/);
+  });
+
+  it("rejects keys of the wrong length", () => {
+    process.env.ENCRYPTION_MASTER_KEYS = `short:${crypto
+      .randomBytes(16)
+      .toString("base64")}`;
+
+    assert.throws(() => getMasterKeys(), /Invalid ENCRYPTION_MASTER_KEYS/);
+  });
+});
+
+describe("data key wrapping", () => {
+  it("round-trips a data key", () => {
+    const dataKey = generateKey();
+    const wrapped = wrapDataKey(dataKey);
+
+    assert.equal(wrapped.masterKeyId, "k1");
+    assert.deepEqual(unwrapDataKey(wrapped), dataKey);
+  });
+
+  it("still unwraps with a retired master key after rotation", () => {
+    const oldKey = masterKey();
+    process.env.ENCRYPTION_MASTER_KEYS = `old:${oldKey}`;
+    const dataKey = generateKey();
+    const wrapped = wrapDataKey(dataKey);
+
+    process.env.ENCRYPTION_MASTER_KEYS = `new:${masterKey()},old:${oldKey}`;
+    assert.deepEqual(unwrapDataKey(wrapped), dataKey);
+
+    const rewrapped = wrapDataKey(unwrapDataKey(wrapped));
+    assert.equal(rewrapped.masterKeyId, "new");
+
+    process.env.ENCRYPTION_MASTER_KEYS =
+      process.env.ENCRYPTION_MASTER_KEYS.split(",")[0];
+    assert.deepEqual(unwrapDataKey(rewrapped), dataKey);
+    assert.throws(() => unwrapDataKey(wrapped), /'old' is not configured/);
+  });
+
+  it("detects a tampered wrapped key", () => {
+    const wrapped = wrapDataKey(generateKey());
+    const bytes = Buffer.from(wrapped.wrappedKey, "base64");
+    bytes[bytes.length - 1] ^= 1;
+
+    assert.throws(() =>
+      unwrapDataKey({ ...wrapped, wrappedKey: bytes.toString("base64") })
+    );
+  });
+});
+
+describe("field values", () => {
+  const dataKey = generateKey();
+
+  it("round-trips text with its key version", () => {
+    const value = encryptValue(dataKey, 3, "Dear diary ✨", "moodentry:1:x");
+
+    assert.ok(isEncryptedValue(value));
+    assert.equal(getValueKeyVersion(value), 3);
+    assert.equal(
+      decryptValue(dataKey, value, "moodentry:1:x"),
+      "Dear diary ✨"
+    );
+  });
+
+  it("uses a fresh IV for every value", () => {
+    assert.notEqual(
+      encryptValue(dataKey, 1, "same", "aad"),
+      encryptValue(dataKey, 1, "same", "aad")
+    );
+  });
+
+  it("refuses values moved to another document or field", () => {
+    const value = encryptValue(
+      dataKey,
+      1,
+      "secret",
+      "moodentry:1:journalEntry"
+    );
+
+    assert.throws(() =>
+      decryptValue(dataKey, value, "moodentry:2:journalEntry")
+    );
+    assert.throws(() => decryptValue(dataKey, value, "moodentry:1:location"));
+  });
+
+  it("refuses the wrong key", () => {
+    const value = encryptValue(dataKey, 1, "secret", "aad");
+
+    assert.throws(() => decryptValue(generateKey(), value, "aad"));
+  });
+
+  it("leaves plaintext recognizable as such", () => {
+    assert.equal(isEncryptedValue("just text"), false);
+    assert.equal(getValueKeyVersion("just text"), null);
+  });
+});
+
+describe("blind index", () => {
+  it("is deterministic per key and differs between keys", () => {
+    const first = deriveIndexKey(generateKey());
+    const second = deriveIndexKey(generateKey());
+
+    assert.equal(hashIndexValue(first, "work"), hashIndexValue(first, "work"));
+    assert.notEqual(
+      hashIndexValue(first, "work"),
+      hashIndexValue(second, "work")
+    );
+    assert.notEqual(
+      hashIndexValue(first, "work"),
+      hashIndexValue(first, "home")
+    );
+  });
+
+  it("derives an index key distinct from the data key", () => {
+    const dataKey = generateKey();
+
+    assert.notDeepEqual(deriveIndexKey(dataKey), dataKey);
+    assert.deepEqual(deriveIndexKey(dataKey), deriveIndexKey(dataKey));
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { csvFormat } from "../../utils/exportFormats.js";
+import { parseImportData } from "../../utils/importFormats.js";
+
+const entry = (fields) => ({
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  date: new Date("2024-03-01T09:00:00Z"),
+  localDate: "2024-03-01",
+  mood: "happy",
+  moodIntensity: 7,
+  ...fields,
+});
+
+describe("parseImportData moodbuddy-csv", () => {
+  it("undoes the formula escaping of our own export", () => {
+    const texts = ["=1+1", "'=already quoted", "'plain apostrophe", "- list"];
+
+    for (const text of texts) {
+      const csv =
+        csvFormat.header() +
+        csvFormat.entry(entry({ journalEntry: text, tags: [text] }));
+      const [record] = parseImportData("moodbuddy-csv", csv);
+
+      assert.equal(record.journalEntry, text);
+      assert.deepEqual(record.tags, [text]);
+    }
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+} from "../../utils/mailer.js";
+
+const env = { ...process.env };
+
+beforeEach(() => {
+  setMailTransport(undefined);
+});
+
+afterEach(() => {
+  process.env = { ...env };
+  setMailTransport(undefined);
+});
+
+describe("getMailTransport", () => {
+  it("defaults to the console outside production", async () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = "development";
+
+    assert.equal((await getMailTransport()).name, "console");
+  });
+
+  it("requires an explicit transport in production", async () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = "production";
+
+    await assert.rejects(getMailTransport(), /MAIL_TRANSPORT must be set/);
+  });
+
+  it("rejects unknown transports", async () => {
+    process.env.MAIL_TRANSPORT = "carrier-pigeon";
+
+    await assert.rejects(getMailTransport(), /Unknown MAIL_TRANSPORT/);
+  });
+});
+
+describe("sendMail", () => {
+  it("sends through the configured transport", async () => {
+    const sent = [];
+    setMailTransport({ name: "memory", send: async (m) => sent.push(m) });
+
+    await sendMail({ to: "a@example.com", subject: "Hi", text: "Hello" });
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, "a@example.com");
+    assert.ok(sent[0].from);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  analyzeSentiment,
+  getSentimentGap,
+  summarizeSentimentGap,
+} from "../../utils/sentiment.js";
+import { SENTIMENT_VERSION } from "../../config/sentimentLexicon.js";
+
+describe("analyzeSentiment", () => {
+  it("returns null for empty text", () => {
+    assert.equal(analyzeSentiment(""), null);
+    assert.equal(analyzeSentiment("   "), null);
+    assert.equal(analyzeSentiment(undefined), null);
+  });
+
+  it("scores positive and negative text within -1..1", () => {
+    const happy = analyzeSentiment("Had a wonderful, happy day with friends");
+    const sad = analyzeSentiment("Felt sad and lonely, a terrible day");
+
+    assert.ok(happy.score > 0 && happy.score <= 1);
+    assert.ok(sad.score < 0 && sad.score >= -1);
+    assert.equal(happy.version, SENTIMENT_VERSION);
+    assert.ok(happy.emotions.includes("joy"));
+    assert.ok(sad.emotions.includes("sadness"));
+  });
+
+  it("flips negated words and leaves them out of emotions", () => {
+    const result = analyzeSentiment("I was not happy today");
+
+    assert.ok(result.score < 0);
+    assert.ok(!result.emotions.includes("joy"));
+  });
+
+  it("scales words after an intensifier", () => {
+    assert.ok(
+      analyzeSentiment("very happy").score > analyzeSentiment("happy").score
+    );
+  });
+
+  it("ignores words that are Object.prototype properties", () => {
+    for (const text of [
+      "Honestly, constructor happy today",
+      "very constructor happy",
+      "toString valueOf hasOwnProperty",
+      "__proto__ happy",
+      "so __proto__ sad",
+      "constructors and prototypes",
+    ]) {
+      const result = analyzeSentiment(text);
+
+      assert.ok(Number.isFinite(result.score), text);
+      assert.ok(
+        result.emotions.every((emotion) => typeof emotion === "string"),
+        text
+      );
+    }
+
+    assert.equal(
+      analyzeSentiment("Honestly, constructor happy today").score,
+      analyzeSentiment("Honestly, happy today").score
+    );
+    assert.equal(analyzeSentiment("toString valueOf").score, 0);
+  });
+});
+
+describe("summarizeSentimentGap", () => {
+  const moodsByName = new Map([["happy", { valence: 5 }]]);
+  const entry = (fields) => ({
+    _id: fields.localDate,
+    date: new Date(`${fields.localDate}T12:00:00Z`),
+    mood: "happy",
+    moodIntensity: 8,
+    ...fields,
+  });
+
+  it("returns nulls when nothing was analyzed", () => {
+    const summary = summarizeSentimentGap(
+      [entry({ localDate: "2024-03-01" })],
+      moodsByName
+    );
+
+    assert.equal(summary.analyzedEntries, 0);
+    assert.equal(summary.averageGap, null);
+  });
+
+  it("lists entries whose sentiment disagrees with the mood", () => {
+    const entries = [
+      entry({ localDate: "2024-03-01", sentiment: { score: -0.8 } }),
+      entry({ localDate: "2024-03-02", sentiment: { score: 0.6 } }),
+    ];
+
+    const summary = summarizeSentimentGap(entries, moodsByName, {
+      threshold: 0.5,
+    });
+
+    assert.equal(summary.analyzedEntries, 2);
+    assert.equal(summary.mismatchedEntries, 1);
+    assert.equal(summary.mismatches[0].date, "2024-03-01");
+    assert.equal(
+      summary.mismatches[0].gap,
+      Math.round(getSentimentGap(entries[0], moodsByName) * 100) / 100
+    );
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { toDateKey, toLegacyDateKey } from "../../utils/timezone.js";
+
+describe("toLegacyDateKey", () => {
+  it("keeps the UTC calendar day of dates stored at UTC midnight", () => {
+    const date = new Date("2024-03-01T00:00:00Z");
+
+    assert.equal(toLegacyDateKey(date, "America/Los_Angeles"), "2024-03-01");
+    assert.equal(toLegacyDateKey(date, "Pacific/Auckland"), "2024-03-01");
+  });
+
+  it("converts other times to the owner's timezone", () => {
+    const date = new Date("2024-03-01T03:30:00Z");
+
+    assert.equal(toLegacyDateKey(date, "America/Los_Angeles"), "2024-02-29");
+    assert.equal(
+      toLegacyDateKey(date, "America/Los_Angeles"),
+      toDateKey(date, "America/Los_Angeles")
+    );
+  });
+});
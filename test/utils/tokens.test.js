@@ -0,0 +1,87 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import {
+  signAccessToken,
+  hashToken,
+  generateRandomToken,
+  buildRefreshToken,
+  parseRefreshToken,
+  getRefreshTokenExpiry,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+} from "../../utils/tokens.js";
+
+before(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+
+describe("refresh tokens", () => {
+  it("round-trips the session id and secret", () => {
+    const secret = generateRandomToken();
+    const token = buildRefreshToken("64b7f0c2a1b2c3d4e5f60718", secret);
+
+    assert.deepEqual(parseRefreshToken(token), {
+      sessionId: "64b7f0c2a1b2c3d4e5f60718",
+      secret,
+    });
+  });
+
+  it("rejects malformed tokens", () => {
+    assert.equal(parseRefreshToken(undefined), null);
+    assert.equal(parseRefreshToken(""), null);
+    assert.equal(parseRefreshToken("no-dot"), null);
+    assert.equal(parseRefreshToken(".secret"), null);
+    assert.equal(parseRefreshToken("session."), null);
+  });
+
+  it("hashes deterministically without keeping the secret", () => {
+    const secret = generateRandomToken();
+
+    assert.equal(hashToken(secret), hashToken(secret));
+    assert.notEqual(hashToken(secret), hashToken(generateRandomToken()));
+    assert.ok(!hashToken(secret).includes(secret));
+  });
+
+  it("expires after REFRESH_TOKEN_EXPIRES_DAYS", () => {
+    process.env.REFRESH_TOKEN_EXPIRES_DAYS = "7";
+    const expiry = getRefreshTokenExpiry().getTime();
+    delete process.env.REFRESH_TOKEN_EXPIRES_DAYS;
+
+    const expected = Date.now() + 7 * 24 * 60 * 60 * 1000;
+    assert.ok(Math.abs(expiry - expected) < 1000);
+  });
+});
+
+describe("access tokens", () => {
+  it("carry the user and session ids", () => {
+    const decoded = jwt.verify(
+      signAccessToken("user-1", "session-1"),
+      process.env.JWT_SECRET
+    );
+
+    assert.equal(decoded.id, "user-1");
+    assert.equal(decoded.sid, "session-1");
+    assert.equal(decoded.purpose, undefined);
+  });
+});
+
+describe("email verification tokens", () => {
+  it("carry the address they were issued for", () => {
+    const token = signEmailVerificationToken({
+      _id: "user-1",
+      email: "a@example.com",
+    });
+
+    const decoded = verifyEmailVerificationToken(token);
+    assert.equal(decoded.id, "user-1");
+    assert.equal(decoded.email, "a@example.com");
+  });
+
+  it("reject access tokens", () => {
+    assert.throws(
+      () => verifyEmailVerificationToken(signAccessToken("user-1", "s")),
+      jwt.JsonWebTokenError
+    );
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+} from "../../utils/totp.js";
+
+// The SHA-1 seed from RFC 6238 appendix B, "12345678901234567890".
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("base32", () => {
+  it("matches the RFC 4648 test vectors", () => {
+    const vectors = {
+      f: "MY",
+      fo: "MZXQ",
+      foo: "MZXW6",
+      foob: "MZXW6YQ",
+      fooba: "MZXW6YTB",
+      foobar: "MZXW6YTBOI",
+    };
+
+    for (const [plain, encoded] of Object.entries(vectors)) {
+      assert.equal(base32Encode(Buffer.from(plain)), encoded);
+      assert.equal(base32Decode(encoded).toString(), plain);
+    }
+  });
+
+  it("ignores padding, spaces and case when decoding", () => {
+    assert.equal(base32Decode("mzxw 6ytb oi======").toString(), "foobar");
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    assert.throws(() => base32Decode("MZXW1"), /Invalid base32/);
+  });
+
+  it("encodes the RFC 6238 seed", () => {
+    assert.equal(base32Encode(Buffer.from("12345678901234567890")), RFC_SECRET);
+  });
+});
+
+describe("generateTotp", () => {
+  // RFC 6238 appendix B (SHA-1), truncated to the last six digits.
+  const vectors = [
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+    [20000000000, "353130"],
+  ];
+
+  for (const [seconds, code] of vectors) {
+    it(`returns ${code} at T=${seconds}`, () => {
+      assert.equal(generateTotp(RFC_SECRET, getTimeStep(seconds * 1000)), code);
+    });
+  }
+});
+
+describe("verifyTotp", () => {
+  const now = 1111111111 * 1000;
+
+  it("accepts the current code and returns its step", () => {
+    mock.method(Date, "now", () => now);
+
+    assert.equal(verifyTotp(RFC_SECRET, "050471"), getTimeStep(now));
+  });
+
+  it("tolerates one step of clock drift", () => {
+    mock.method(Date, "now", () => now + 30 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, "050471"), getTimeStep(now));
+  });
+
+  it("rejects codes outside the window", () => {
+    mock.method(Date, "now", () => now + 90 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, "050471"), null);
+  });
+
+  it("rejects malformed codes and missing secrets", () => {
+    mock.method(Date, "now", () => now);
+
+    assert.equal(verifyTotp(RFC_SECRET, "50471"), null);
+    assert.equal(verifyTotp(RFC_SECRET, "05047a"), null);
+    assert.equal(verifyTotp(undefined, "050471"), null);
+  });
+});
+
+describe("setup helpers", () => {
+  it("generates 160-bit secrets", () => {
+    assert.equal(base32Decode(generateTotpSecret()).length, 20);
+  });
+
+  it("builds an otpauth URI with the issuer and parameters", () => {
+    const uri = new URL(buildOtpauthUri(RFC_SECRET, "nunu"));
+
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.equal(uri.searchParams.get("issuer"), "MoodBuddy");
+    assert.equal(uri.searchParams.get("digits"), "6");
+    assert.equal(uri.searchParams.get("period"), "30");
+  });
+
+  it("generates distinct recovery codes", () => {
+    const codes = generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  });
+});
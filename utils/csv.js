@@ -0,0 +1,80 @@
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and line breaks
+// inside quotes. Returns an array of rows, each an array of strings.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field in CSV");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// Turns parsed rows into objects keyed by the (trimmed, lower-cased) header.
+export const parseCsvWithHeader = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim().toLowerCase());
+
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ""]))
+  );
+};
+
+// Spreadsheets evaluate cells starting with one of these as formulas, so
+// exported text gets a leading apostrophe. One is also added in front of any
+// apostrophes already there, so removing a single one on import always gives
+// back the original text.
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+export const escapeCsvFormula = (text) =>
+  FORMULA_PATTERN.test(text) ? `'${text}` : text;
+
+export const unescapeCsvFormula = (text) =>
+  text.startsWith("'") && FORMULA_PATTERN.test(text.slice(1))
+    ? text.slice(1)
+    : text;
@@ -0,0 +1,58 @@
+// Collapses a day's check-ins into one summary. The dominant mood is the most
+// frequent one; ties go to whichever of them was logged last.
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+export const groupByDay = (entries) => {
+  const days = new Map();
+
+  for (const entry of entries) {
+    if (!days.has(entry.localDate)) days.set(entry.localDate, []);
+    days.get(entry.localDate).push(entry);
+  }
+
+  return days;
+};
+
+export const summarizeDay = (localDate, dayEntries) => {
+  const entries = [...dayEntries].sort((a, b) => a.date - b.date);
+
+  const moodCounts = new Map();
+  entries.forEach((entry, index) => {
+    const current = moodCounts.get(entry.mood) || { count: 0, lastIndex: 0 };
+    moodCounts.set(entry.mood, { count: current.count + 1, lastIndex: index });
+  });
+
+  const [dominantMood] = [...moodCounts.entries()].sort(
+    ([, a], [, b]) => b.count - a.count || b.lastIndex - a.lastIndex
+  )[0];
+
+  const intensities = entries.map((entry) => entry.moodIntensity);
+  const averageIntensity = round1(
+    intensities.reduce((sum, value) => sum + value, 0) / intensities.length
+  );
+
+  return {
+    date: localDate,
+    mood: dominantMood,
+    intensity: averageIntensity,
+    averageIntensity,
+    minIntensity: Math.min(...intensities),
+    maxIntensity: Math.max(...intensities),
+    checkInCount: entries.length,
+    // Works on entries that haven't been decrypted too.
+    hasJournal: entries.some(
+      (entry) => !!(entry.journalEntry || entry.encrypted?.journalEntry)
+    ),
+    activities: [
+      ...new Set(entries.flatMap((entry) => entry.activities || [])),
+    ],
+    firstCheckIn: entries[0].date,
+    lastCheckIn: entries[entries.length - 1].date,
+  };
+};
+
+export const summarizeByDay = (entries) =>
+  [...groupByDay(entries).entries()].map(([localDate, dayEntries]) =>
+    summarizeDay(localDate, dayEntries)
+  );
@@ -0,0 +1,205 @@
+import mongoose from "mongoose";
+import DataKey from "../models/DataKey.js";
+import {
+  isEncryptionEnabled,
+  encryptValue,
+  decryptValue,
+  isEncryptedValue,
+  getValueKeyVersion,
+  hashIndexValue,
+} from "./fieldEncryption.js";
+
+// Encryption of MoodEntry's free-text fields at rest. Ciphertext lives under
+// `encrypted.<field>` and the plaintext field is left empty in the database;
+// tags are encrypted together as one JSON array, with a blind index hash per
+// tag in `tagIndex` so entries can still be found by exact tag.
+//
+// Writes are handled by the model's hooks. Reads are not: anything that loads
+// entries and needs these fields must pass them through decryptEntries(),
+// which works on both documents and lean objects.
+
+export const ENCRYPTED_FIELDS = ["journalEntry", "location", "tags"];
+
+const isDocument = (entry) => entry instanceof mongoose.Document;
+
+const getUserId = (entry) => entry.user?._id ?? entry.user;
+
+const hasValue = (value) =>
+  Array.isArray(value)
+    ? value.length > 0
+    : value !== undefined && value !== null && value !== "";
+
+// Ties the ciphertext to its entry and field.
+const toAssociatedData = (entry, field) => `moodentry:${entry._id}:${field}`;
+
+const serialize = (field, value) =>
+  field === "tags" ? JSON.stringify([...value]) : value;
+
+const deserialize = (field, text) =>
+  field === "tags" ? JSON.parse(text) : text;
+
+// Projection for queries that select specific fields: adds the ciphertext of
+// any encrypted field in the list, plus the owner whose key decrypts it.
+export const withEncryptedFields = (fields) => [
+  ...fields,
+  "user",
+  ...ENCRYPTED_FIELDS.filter((field) => fields.includes(field)).map(
+    (field) => `encrypted.${field}`
+  ),
+];
+
+// Encrypts every field that holds plaintext (changed, or decrypted earlier)
+// or was cleared, and empties the plaintext field. What was encrypted is kept
+// in $locals until restoreEntryFields() puts it back after the save, so
+// callers keep working with readable values.
+export const encryptEntryFields = async (entry) => {
+  if (entry.$locals.plaintext) return;
+
+  // New entries get every field written, which also drops any ciphertext or
+  // index a client tried to sneak in.
+  const fields = ENCRYPTED_FIELDS.filter(
+    (field) =>
+      entry.isNew || hasValue(entry.get(field)) || entry.isModified(field)
+  );
+  if (fields.length === 0) return;
+
+  if (!isEncryptionEnabled()) {
+    // A changed plaintext value must not be shadowed by older ciphertext.
+    for (const field of fields.filter(
+      (name) => entry.isNew || entry.isModified(name)
+    )) {
+      entry.set(`encrypted.${field}`, undefined);
+      if (field === "tags") entry.tagIndex = [];
+    }
+    return;
+  }
+
+  const { activeVersion, keys } = await DataKey.getUserKeys(getUserId(entry));
+  const { key, indexKey } = keys.get(activeVersion);
+  const plaintext = {};
+
+  for (const field of fields) {
+    const value = entry.get(field);
+    plaintext[field] = field === "tags" ? [...(value || [])] : value;
+
+    entry.set(
+      `encrypted.${field}`,
+      hasValue(value)
+        ? encryptValue(
+            key,
+            activeVersion,
+            serialize(field, value),
+            toAssociatedData(entry, field)
+          )
+        : undefined
+    );
+    entry.set(field, undefined);
+  }
+
+  if (fields.includes("tags")) {
+    entry.tagIndex = plaintext.tags.map((tag) => hashIndexValue(indexKey, tag));
+  }
+
+  entry.$locals.plaintext = plaintext;
+};
+
+export const restoreEntryFields = (entry) => {
+  const { plaintext } = entry.$locals;
+  if (!plaintext) return;
+
+  for (const [field, value] of Object.entries(plaintext)) {
+    entry.set(field, value);
+    entry.unmarkModified(field);
+  }
+  delete entry.$locals.plaintext;
+};
+
+// Fills in the plaintext of encrypted fields, in place, and returns the same
+// array. Lean objects also lose `encrypted` and `tagIndex`; documents hide
+// them in toJSON instead. Entries still stored in plaintext pass through.
+export const decryptEntries = async (entries) => {
+  const keyrings = new Map();
+
+  const getDataKey = async (entry, version) => {
+    const userId = String(getUserId(entry));
+    let keyring = keyrings.get(userId) || (await DataKey.getUserKeys(userId));
+
+    // Rotated by another server since we cached it.
+    if (!keyring.keys.has(version)) {
+      keyring = await DataKey.getUserKeys(userId, { refresh: true });
+    }
+    keyrings.set(userId, keyring);
+
+    const dataKey = keyring.keys.get(version)?.key;
+    if (!dataKey) {
+      throw new Error(
+        `Data key version ${version} for entry ${entry._id} no longer exists`
+      );
+    }
+    return dataKey;
+  };
+
+  for (const entry of entries) {
+    const document = isDocument(entry);
+    const encrypted = document ? entry.get("encrypted") : entry.encrypted;
+
+    for (const field of ENCRYPTED_FIELDS) {
+      const value = encrypted?.[field];
+      if (!isEncryptedValue(value)) continue;
+
+      const dataKey = await getDataKey(entry, getValueKeyVersion(value));
+
+      let plaintext;
+      try {
+        plaintext = deserialize(
+          field,
+          decryptValue(dataKey, value, toAssociatedData(entry, field))
+        );
+      } catch (error) {
+        throw new Error(`Could not decrypt ${field} of entry ${entry._id}`);
+      }
+
+      if (document) {
+        entry.set(field, plaintext);
+        entry.unmarkModified(field);
+      } else {
+        entry[field] = plaintext;
+      }
+    }
+
+    if (!document) {
+      delete entry.encrypted;
+      delete entry.tagIndex;
+    }
+  }
+
+  return entries;
+};
+
+// Blind index hashes of `tags` under each of the user's key versions, since
+// entries not yet re-encrypted after a rotation carry hashes from older keys.
+export const getTagIndexValues = async (userId, tags) => {
+  if (!isEncryptionEnabled()) return [];
+
+  const { keys } = await DataKey.getUserKeys(userId);
+  return [...keys.values()].flatMap(({ indexKey }) =>
+    tags.map((tag) => hashIndexValue(indexKey, tag))
+  );
+};
+
+// Key versions an entry's ciphertext uses.
+export const getEntryKeyVersions = (entry) => {
+  const encrypted = isDocument(entry)
+    ? entry.get("encrypted")
+    : entry.encrypted;
+
+  return ENCRYPTED_FIELDS.map((field) =>
+    getValueKeyVersion(encrypted?.[field])
+  ).filter((version) => version !== null);
+};
+
+// True when an entry (as loaded, before decryption) still has plaintext or
+// ciphertext from a key other than the active one.
+export const needsReencryption = (entry, activeVersion) =>
+  ENCRYPTED_FIELDS.some((field) => hasValue(entry.get(field))) ||
+  getEntryKeyVersions(entry).some((version) => version !== activeVersion);
@@ -0,0 +1,174 @@
+import { escapeCsvFormula } from "./csv.js";
+
+// Serializers for GET /api/mood/export. Each format is written one entry at a
+// time so the controller can stream straight from a Mongo cursor.
+
+export const EXPORT_FIELDS = [
+  "date",
+  "timestamp",
+  "mood",
+  "moodIntensity",
+  "journalEntry",
+  "tags",
+  "activities",
+  "sleepHours",
+  "weather",
+  "location",
+  "isPublic",
+  "createdAt",
+  "updatedAt",
+];
+
+const toISODate = (date) => new Date(date).toISOString().split("T")[0];
+
+export const serializeEntry = (entry) => ({
+  id: String(entry._id),
+  date: entry.localDate || toISODate(entry.date),
+  timestamp: new Date(entry.date).toISOString(),
+  mood: entry.mood,
+  moodIntensity: entry.moodIntensity,
+  journalEntry: entry.journalEntry ?? null,
+  tags: entry.tags || [],
+  activities: entry.activities || [],
+  sleepHours: entry.sleepHours ?? null,
+  weather: entry.weather ?? null,
+  location: entry.location ?? null,
+  isPublic: !!entry.isPublic,
+  createdAt: entry.createdAt?.toISOString() ?? null,
+  updatedAt: entry.updatedAt?.toISOString() ?? null,
+});
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+
+  const text =
+    typeof value === "number"
+      ? String(value)
+      : escapeCsvFormula(
+          Array.isArray(value) ? value.join(";") : String(value)
+        );
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvFormat = {
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+  header: () => `${["id", ...EXPORT_FIELDS].join(",")}\r\n`,
+  entry: (entry) => {
+    const row = serializeEntry(entry);
+    return `${["id", ...EXPORT_FIELDS]
+      .map((field) => escapeCsv(row[field]))
+      .join(",")}\r\n`;
+  },
+  footer: () => "",
+};
+
+export const jsonFormat = {
+  contentType: "application/json; charset=utf-8",
+  extension: "json",
+  header: () =>
+    `{"format":"moodbuddy-export","version":1,"exportedAt":${JSON.stringify(
+      new Date().toISOString()
+    )},"entries":[`,
+  entry: (entry, index) =>
+    `${index > 0 ? "," : ""}\n${JSON.stringify(serializeEntry(entry))}`,
+  footer: () => "\n]}\n",
+};
+
+const escapeIcsText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// RFC 5545 lines are limited to 75 octets; longer ones continue on the next
+// line after a single space.
+const foldIcsLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return `${line}\r\n`;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return `${parts.join("\r\n ")}\r\n`;
+};
+
+const toIcsDate = (isoDate) => isoDate.replace(/-/g, "");
+
+const toIcsTimestamp = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const nextIsoDate = (isoDate) => {
+  const next = new Date(`${isoDate}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split("T")[0];
+};
+
+export const icsFormat = {
+  contentType: "text/calendar; charset=utf-8",
+  extension: "ics",
+  header: () =>
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//MoodBuddy//Mood Export//EN",
+      "CALSCALE:GREGORIAN",
+      "X-WR-CALNAME:MoodBuddy",
+    ]
+      .map(foldIcsLine)
+      .join(""),
+  entry: (entry) => {
+    const row = serializeEntry(entry);
+
+    const details = [
+      row.journalEntry,
+      row.activities.length && `Activities: ${row.activities.join(", ")}`,
+      row.tags.length && `Tags: ${row.tags.join(", ")}`,
+      row.sleepHours !== null && `Sleep: ${row.sleepHours}h`,
+      row.weather && `Weather: ${row.weather}`,
+    ].filter(Boolean);
+
+    const lines = [
+      "BEGIN:VEVENT",
+      `UID:${row.id}@moodbuddy`,
+      `DTSTAMP:${toIcsTimestamp(entry.updatedAt || Date.now())}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(row.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextIsoDate(row.date))}`,
+      `SUMMARY:${escapeIcsText(`Mood: ${row.mood} (${row.moodIntensity}/10)`)}`,
+      details.length && `DESCRIPTION:${escapeIcsText(details.join("\n"))}`,
+      row.location && `LOCATION:${escapeIcsText(row.location)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ].filter(Boolean);
+
+    return lines.map(foldIcsLine).join("");
+  },
+  footer: () => foldIcsLine("END:VCALENDAR"),
+};
+
+export const EXPORT_FORMATS = {
+  csv: csvFormat,
+  json: jsonFormat,
+  ics: icsFormat,
+};
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+
+// Envelope encryption primitives. Every user has data keys (see
+// models/DataKey.js) that encrypt their fields; data keys are stored wrapped
+// by a master key from ENCRYPTION_MASTER_KEYS, a comma-separated list of
+// "<id>:<base64 32-byte key>". The first key wraps new data keys, the rest
+// only unwrap, so a master key can be rotated by adding a new one in front
+// and rewrapping (scripts/rotateEncryptionKeys.js) before dropping the old.
+//
+// All encryption is AES-256-GCM. Field values are stored as
+// "enc1:<data key version>:<base64 iv|tag|ciphertext>", and the associated
+// data binds each value to its document and field, so ciphertext can't be
+// moved to another entry unnoticed.
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const VALUE_PREFIX = "enc1";
+const WRAP_AAD = "moodbuddy:data-key";
+
+let parsedMasterKeys = { raw: undefined, keys: null };
+
+export const getMasterKeys = () => {
+  const raw = process.env.ENCRYPTION_MASTER_KEYS || "";
+  if (parsedMasterKeys.raw === raw) return parsedMasterKeys.keys;
+
+  const keys = new Map();
+  for (const item of raw.split(",").map((value) => value.trim())) {
+    if (!item) continue;
+
+    const [id, encoded] = item.split(":");
+    const key = Buffer.from(encoded || "", "base64");
+    if (!id || key.length !== KEY_LENGTH) {
+      throw new Error(
+        `Invalid ENCRYPTION_MASTER_KEYS entry '${id}': expected <id>:<base64 ${KEY_LENGTH}-byte key>`
+      );
+    }
+    keys.set(id, key);
+  }
+
+  parsedMasterKeys = {
+    raw,
+    keys: { activeId: keys.keys().next().value ?? null, keys },
+  };
+  return parsedMasterKeys.keys;
+};
+
+// Without a master key, entries are stored (and stay) in plaintext.
+export const isEncryptionEnabled = () => getMasterKeys().activeId !== null;
+
+export const generateKey = () => crypto.randomBytes(KEY_LENGTH);
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    sealed.subarray(0, IV_LENGTH)
+  );
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+};
+
+export const wrapDataKey = (dataKey) => {
+  const { activeId, keys } = getMasterKeys();
+  if (!activeId) throw new Error("ENCRYPTION_MASTER_KEYS is not configured");
+
+  return {
+    masterKeyId: activeId,
+    wrappedKey: seal(keys.get(activeId), dataKey, WRAP_AAD).toString("base64"),
+  };
+};
+
+export const unwrapDataKey = ({ masterKeyId, wrappedKey }) => {
+  const masterKey = getMasterKeys().keys.get(masterKeyId);
+  if (!masterKey) {
+    throw new Error(`Master key '${masterKeyId}' is not configured`);
+  }
+
+  return open(masterKey, Buffer.from(wrappedKey, "base64"), WRAP_AAD);
+};
+
+// Separate key for blind indexes, so index hashes reveal nothing about the
+// encryption key.
+export const deriveIndexKey = (dataKey) =>
+  Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      dataKey,
+      Buffer.alloc(0),
+      "moodbuddy:blind-index",
+      KEY_LENGTH
+    )
+  );
+
+// Deterministic, so equal values can be looked up without decrypting.
+export const hashIndexValue = (indexKey, value) =>
+  crypto.createHmac("sha256", indexKey).update(value).digest("base64url");
+
+export const isEncryptedValue = (value) =>
+  typeof value === "string" && value.startsWith(`${VALUE_PREFIX}:`);
+
+export const getValueKeyVersion = (value) =>
+  isEncryptedValue(value) ? parseInt(value.split(":")[1]) : null;
+
+export const encryptValue = (dataKey, version, plaintext, aad) =>
+  `${VALUE_PREFIX}:${version}:${seal(
+    dataKey,
+    Buffer.from(plaintext, "utf8"),
+    aad
+  ).toString("base64")}`;
+
+export const decryptValue = (dataKey, value, aad) =>
+  open(dataKey, Buffer.from(value.split(":")[2], "base64"), aad).toString(
+    "utf8"
+  );
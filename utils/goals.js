@@ -0,0 +1,111 @@
+// Goal progress per period. Periods reuse the trend buckets, so a "week"
+// here starts on the user's weekStartsOn just like the weekly trends do.
+
+import mongoose from "mongoose";
+import MoodEntry from "../models/MoodEntry.js";
+import { getBucketStart, getNextBucketStart } from "./trends.js";
+import { addDays } from "./timezone.js";
+
+export const getPeriodRange = (dateKey, period, weekStartsOn) => {
+  const start = getBucketStart(dateKey, period, weekStartsOn);
+  return { start, end: addDays(getNextBucketStart(start, period), -1) };
+};
+
+// Map of activity -> sorted distinct local days it was logged on, limited to
+// the given activities and days.
+export const getActivityDays = async (userId, activities, startKey, endKey) => {
+  if (activities.length === 0) return new Map();
+
+  const rows = await MoodEntry.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        activities: { $in: activities },
+        localDate: { $gte: startKey, $lte: endKey },
+      },
+    },
+    { $unwind: "$activities" },
+    { $match: { activities: { $in: activities } } },
+    { $group: { _id: "$activities", days: { $addToSet: "$localDate" } } },
+  ]);
+
+  return new Map(rows.map((row) => [row._id, row.days.sort()]));
+};
+
+const countDaysInRange = (days, { start, end }) =>
+  days.filter((day) => day >= start && day <= end).length;
+
+export const buildProgress = (goal, days, range, today) => {
+  const count = countDaysInRange(days, range);
+
+  return {
+    periodStart: range.start,
+    periodEnd: range.end,
+    count,
+    target: goal.targetCount,
+    remaining: Math.max(goal.targetCount - count, 0),
+    percent: Math.min(Math.round((count / goal.targetCount) * 100), 100),
+    met: count >= goal.targetCount,
+    inProgress: today >= range.start && today <= range.end,
+  };
+};
+
+// Every period from the one the goal started in up to the current one,
+// newest first, capped at `limit`.
+export const buildHistory = (
+  goal,
+  days,
+  { today, weekStartsOn, limit = 12 }
+) => {
+  const history = [];
+  let range = getPeriodRange(today, goal.period, weekStartsOn);
+  const firstStart = getBucketStart(goal.startDate, goal.period, weekStartsOn);
+
+  while (range.start >= firstStart && history.length < limit) {
+    history.push(buildProgress(goal, days, range, today));
+    range = getPeriodRange(addDays(range.start, -1), goal.period, weekStartsOn);
+  }
+
+  return history;
+};
+
+export const loadActivityDaysForGoals = (userId, goals, today) =>
+  getActivityDays(
+    userId,
+    [...new Set(goals.map((goal) => goal.activity))],
+    goals.reduce(
+      (earliest, goal) =>
+        goal.startDate < earliest ? goal.startDate : earliest,
+      today
+    ),
+    today
+  );
+
+// Summary used by getStats: how the active goals are doing this period and
+// how often completed periods were met.
+export const summarizeGoals = (goals, activityDays, options) => {
+  const completed = [];
+  let metThisPeriod = 0;
+
+  for (const goal of goals) {
+    const history = buildHistory(
+      goal,
+      activityDays.get(goal.activity) || [],
+      options
+    );
+    if (history[0]?.met) metThisPeriod += 1;
+    completed.push(...history.filter((period) => !period.inProgress));
+  }
+
+  const metPeriods = completed.filter((period) => period.met).length;
+
+  return {
+    active: goals.length,
+    metThisPeriod,
+    completedPeriods: completed.length,
+    metPeriods,
+    completionRate: completed.length
+      ? Math.round((metPeriods / completed.length) * 100) / 100
+      : null,
+  };
+};
@@ -0,0 +1,243 @@
+import { parseCsvWithHeader, unescapeCsvFormula } from "./csv.js";
+import {
+  resolveEntryDate,
+  isDateKey,
+  toDateKey,
+  getDayStart,
+} from "./timezone.js";
+
+// Parsers and field mapping for POST /api/mood/import. Every format is turned
+// into plain candidate entries first, so validation, conflict handling and
+// dry runs are the same regardless of where the data came from.
+
+export const IMPORT_FORMATS = ["moodbuddy-csv", "moodbuddy-json", "daylio"];
+
+// Daylio's five stock moods; users with renamed moods supply their own
+// mapping, which takes precedence.
+export const DAYLIO_DEFAULT_MOODS = {
+  rad: { mood: "excited", intensity: 9 },
+  good: { mood: "happy", intensity: 7 },
+  meh: { mood: "neutral", intensity: 5 },
+  bad: { mood: "sad", intensity: 3 },
+  awful: { mood: "sad", intensity: 1 },
+};
+
+const splitList = (value, separator) =>
+  (value || "")
+    .split(separator)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const emptyToUndefined = (value) =>
+  value === undefined || value === null || value === "" ? undefined : value;
+
+// Undoes the apostrophes our own CSV export adds against formula injection.
+const unescapeRecord = (record) =>
+  Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [
+      key,
+      unescapeCsvFormula(value),
+    ])
+  );
+
+const parseMoodbuddyCsv = (data) =>
+  parseCsvWithHeader(data)
+    .map(unescapeRecord)
+    .map((record) => ({
+      date: record.date,
+      timestamp: emptyToUndefined(record.timestamp),
+      mood: record.mood,
+      moodIntensity: emptyToUndefined(record.moodintensity),
+      journalEntry: emptyToUndefined(record.journalentry),
+      tags: splitList(record.tags, ";"),
+      activities: splitList(record.activities, ";"),
+      sleepHours: emptyToUndefined(record.sleephours),
+      weather: emptyToUndefined(record.weather),
+      location: emptyToUndefined(record.location),
+    }));
+
+const parseMoodbuddyJson = (data) => {
+  const parsed = typeof data === "string" ? JSON.parse(data) : data;
+  const entries = Array.isArray(parsed) ? parsed : parsed?.entries;
+
+  if (!Array.isArray(entries)) {
+    throw new Error("JSON import must be an array or have an 'entries' array");
+  }
+
+  return entries.map((entry) => ({
+    date: entry.date,
+    timestamp: emptyToUndefined(entry.timestamp),
+    mood: entry.mood,
+    moodIntensity: emptyToUndefined(entry.moodIntensity),
+    journalEntry: emptyToUndefined(entry.journalEntry),
+    tags: entry.tags || [],
+    activities: entry.activities || [],
+    sleepHours: emptyToUndefined(entry.sleepHours),
+    weather: emptyToUndefined(entry.weather),
+    location: emptyToUndefined(entry.location),
+  }));
+};
+
+const stripDaylioMarkup = (text) =>
+  (text || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .trim();
+
+const parseDaylioCsv = (data) =>
+  parseCsvWithHeader(data).map((record) => {
+    const journal = [
+      stripDaylioMarkup(record.note_title),
+      stripDaylioMarkup(record.note),
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    return {
+      date: record.full_date || record.date,
+      time: emptyToUndefined(record.time),
+      mood: record.mood,
+      journalEntry: emptyToUndefined(journal),
+      tags: [],
+      activities: splitList(record.activities, "|"),
+    };
+  });
+
+const PARSERS = {
+  "moodbuddy-csv": parseMoodbuddyCsv,
+  "moodbuddy-json": parseMoodbuddyJson,
+  daylio: parseDaylioCsv,
+};
+
+export const parseImportData = (format, data) => PARSERS[format](data);
+
+// Accepts "20:00", "8:00 pm" and similar; returns milliseconds past midnight.
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) return null;
+
+  let hours = Number(match[1]) % (match[3] ? 12 : 24);
+  if (match[3]?.toLowerCase() === "pm") hours += 12;
+
+  return (hours * 60 + Number(match[2])) * 60 * 1000;
+};
+
+// "YYYY-MM-DD" is read as a calendar day in the user's timezone, placed at
+// `timestamp` or `time` when the source has one so separate check-ins on the
+// same day stay apart.
+export const parseImportDate = (value, timeZone, { timestamp, time } = {}) => {
+  if (!value && !timestamp) return null;
+
+  if (timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return null;
+
+    return {
+      date,
+      localDate: isDateKey(value) ? value : toDateKey(date, timeZone),
+    };
+  }
+
+  const resolved = resolveEntryDate(String(value).trim(), timeZone);
+  if (!resolved || !time || !isDateKey(value)) return resolved;
+
+  const offset = parseTimeOfDay(time);
+  if (offset === null) return resolved;
+
+  return {
+    date: new Date(getDayStart(value, timeZone).getTime() + offset),
+    localDate: value,
+  };
+};
+
+const normalizeKey = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+const lowerCaseKeys = (object = {}) =>
+  Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [normalizeKey(key), value])
+  );
+
+/**
+ * Maps one parsed record onto MoodEntry fields.
+ *
+ * `mapping.moods` maps a foreign mood name to one of ours, either as a string
+ * or as `{ mood, intensity }`; `mapping.activities` maps a foreign activity to
+ * one of ours, or to null to drop it silently. Returns `{ entry, errors,
+ * warnings }`; the row should be rejected when `errors` is non-empty.
+ */
+export const mapImportRecord = (
+  record,
+  { format, mapping = {}, vocabulary, timeZone }
+) => {
+  const errors = [];
+  const warnings = [];
+
+  const moodMapping = {
+    ...(format === "daylio" ? DAYLIO_DEFAULT_MOODS : {}),
+    ...lowerCaseKeys(mapping.moods),
+  };
+  const activityMapping = lowerCaseKeys(mapping.activities);
+
+  const resolvedDate = parseImportDate(record.date, timeZone, record);
+  if (!resolvedDate) errors.push(`Invalid date '${record.date ?? ""}'`);
+
+  const foreignMood = normalizeKey(record.mood);
+  let mood;
+  let intensity = record.moodIntensity;
+
+  if (vocabulary.moods.includes(foreignMood)) {
+    mood = foreignMood;
+  } else if (moodMapping[foreignMood]) {
+    const target = moodMapping[foreignMood];
+    mood = normalizeKey(typeof target === "string" ? target : target.mood);
+    if (intensity === undefined && typeof target === "object") {
+      intensity = target.intensity;
+    }
+  }
+
+  if (!mood) {
+    errors.push(`Unmapped mood '${record.mood ?? ""}'`);
+  } else if (!vocabulary.moods.includes(mood)) {
+    errors.push(
+      `Mood mapping for '${record.mood}' points to unknown '${mood}'`
+    );
+  }
+
+  const activities = [];
+  for (const foreignActivity of record.activities || []) {
+    const key = normalizeKey(foreignActivity);
+    const mapped = key in activityMapping ? activityMapping[key] : key;
+
+    if (mapped === null) continue;
+    const target = normalizeKey(mapped);
+
+    if (vocabulary.activities.includes(target)) {
+      if (!activities.includes(target)) activities.push(target);
+    } else {
+      warnings.push(`Unmapped activity '${foreignActivity}' was dropped`);
+    }
+  }
+
+  return {
+    entry: {
+      date: resolvedDate?.date,
+      localDate: resolvedDate?.localDate,
+      mood,
+      moodIntensity: intensity === undefined ? 5 : Number(intensity),
+      journalEntry: record.journalEntry,
+      tags: record.tags,
+      activities,
+      sleepHours:
+        record.sleepHours === undefined ? undefined : Number(record.sleepHours),
+      weather: record.weather,
+      location: record.location,
+    },
+    errors,
+    warnings,
+  };
+};
@@ -0,0 +1,169 @@
+// Correlation insights for GET /api/mood/insights. Entries are first collapsed
+// into days (average intensity, share of positive check-ins, everything that
+// was logged that day) so a day with five check-ins doesn't outweigh a day
+// with one. Each factor value is then compared against all other days.
+
+import { groupByDay } from "./dailySummary.js";
+
+export const SLEEP_BANDS = [
+  { key: "under-6", label: "under 6 hours", min: 0, max: 6 },
+  { key: "6-8", label: "6 to 8 hours", min: 6, max: 8 },
+  { key: "8-plus", label: "8 hours or more", min: 8, max: Infinity },
+];
+
+export const DEFAULT_MIN_SAMPLE = 5;
+// Cohen's d below this is treated as noise.
+export const MIN_EFFECT_SIZE = 0.2;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const variance = (values) => {
+  const avg = mean(values);
+  return (
+    values.reduce((sum, value) => sum + (value - avg) ** 2, 0) /
+    (values.length - 1)
+  );
+};
+
+// Cohen's d with a pooled standard deviation. Zero spread with a difference
+// in means can't be expressed as a finite d, so it's reported as null.
+const cohensD = (a, b) => {
+  const pooled = Math.sqrt(
+    ((a.length - 1) * variance(a) + (b.length - 1) * variance(b)) /
+      (a.length + b.length - 2)
+  );
+  const diff = mean(a) - mean(b);
+  if (pooled === 0) return diff === 0 ? 0 : null;
+  return diff / pooled;
+};
+
+const describeMagnitude = (d) => {
+  const size = Math.abs(d);
+  if (size >= 0.8) return "large";
+  if (size >= 0.5) return "medium";
+  return "small";
+};
+
+export const getSleepBand = (hours) =>
+  SLEEP_BANDS.find((band) => hours >= band.min && hours < band.max) || null;
+
+const summarizeDayForInsights = (dayEntries, moodsByName) => {
+  const positive = dayEntries.filter(
+    (entry) => (moodsByName.get(entry.mood)?.valence ?? 0) > 0
+  ).length;
+  const sleep = dayEntries
+    .map((entry) => entry.sleepHours)
+    .filter((hours) => typeof hours === "number");
+
+  return {
+    intensity: mean(dayEntries.map((entry) => entry.moodIntensity)),
+    positiveRate: positive / dayEntries.length,
+    activities: new Set(dayEntries.flatMap((entry) => entry.activities || [])),
+    weather: new Set(dayEntries.map((entry) => entry.weather).filter(Boolean)),
+    sleepBand: sleep.length ? getSleepBand(Math.max(...sleep))?.key : null,
+  };
+};
+
+const describeGroup = (days) => ({
+  days: days.length,
+  averageIntensity: round1(mean(days.map((day) => day.intensity))),
+  positiveRate: round2(mean(days.map((day) => day.positiveRate))),
+});
+
+const FACTORS = [
+  {
+    factor: "activity",
+    values: (days) => new Set(days.flatMap((day) => [...day.activities])),
+    matches: (day, value) => day.activities.has(value),
+    phrase: (value) => `on days you log ${value}`,
+  },
+  {
+    factor: "weather",
+    values: (days) => new Set(days.flatMap((day) => [...day.weather])),
+    matches: (day, value) => day.weather.has(value),
+    phrase: (value) => `on ${value} days`,
+  },
+  {
+    factor: "sleep",
+    values: () => new Set(SLEEP_BANDS.map((band) => band.key)),
+    matches: (day, value) => day.sleepBand === value,
+    // Only days with sleep recorded are a fair comparison for sleep bands.
+    population: (days) => days.filter((day) => day.sleepBand),
+    phrase: (value) =>
+      `after sleeping ${SLEEP_BANDS.find((band) => band.key === value).label}`,
+  },
+];
+
+const buildStatement = (difference, phrase) => {
+  const amount = Math.abs(difference).toFixed(1);
+  const direction = difference > 0 ? "higher" : "lower";
+  return `You rate your mood ${amount} ${direction} ${phrase}`;
+};
+
+export const computeInsights = (
+  entries,
+  { moodsByName, minSample = DEFAULT_MIN_SAMPLE }
+) => {
+  const days = [...groupByDay(entries).values()].map((dayEntries) =>
+    summarizeDayForInsights(dayEntries, moodsByName)
+  );
+
+  const insights = [];
+
+  for (const { factor, values, matches, phrase, population } of FACTORS) {
+    const pool = population ? population(days) : days;
+
+    for (const value of values(pool)) {
+      const withDays = pool.filter((day) => matches(day, value));
+      const withoutDays = pool.filter((day) => !matches(day, value));
+
+      if (withDays.length < minSample || withoutDays.length < minSample) {
+        continue;
+      }
+
+      const effectSize = cohensD(
+        withDays.map((day) => day.intensity),
+        withoutDays.map((day) => day.intensity)
+      );
+      if (effectSize !== null && Math.abs(effectSize) < MIN_EFFECT_SIZE) {
+        continue;
+      }
+
+      const withGroup = describeGroup(withDays);
+      const withoutGroup = describeGroup(withoutDays);
+      const difference = round1(
+        mean(withDays.map((day) => day.intensity)) -
+          mean(withoutDays.map((day) => day.intensity))
+      );
+      if (difference === 0) continue;
+
+      insights.push({
+        factor,
+        value,
+        statement: buildStatement(difference, phrase(value)),
+        difference,
+        positiveRateDifference: round2(
+          withGroup.positiveRate - withoutGroup.positiveRate
+        ),
+        effectSize: effectSize === null ? null : round2(effectSize),
+        magnitude:
+          effectSize === null ? "large" : describeMagnitude(effectSize),
+        sampleSize: withDays.length + withoutDays.length,
+        with: withGroup,
+        without: withoutGroup,
+      });
+    }
+  }
+
+  insights.sort(
+    (a, b) =>
+      Math.abs(b.effectSize ?? Infinity) - Math.abs(a.effectSize ?? Infinity) ||
+      Math.abs(b.difference) - Math.abs(a.difference)
+  );
+
+  return { daysAnalyzed: days.length, insights };
+};
@@ -0,0 +1,12 @@
+// Background jobs only need to run once per deployment, but PM2 cluster mode
+// starts a copy of the server on every core. PM2 numbers its instances through
+// NODE_APP_INSTANCE, so by default only instance 0 (or a server started
+// without PM2) runs them. RUN_JOBS=true or RUN_JOBS=false overrides that, e.g.
+// to move the jobs to a dedicated worker.
+export const shouldRunJobs = () => {
+  if (process.env.RUN_JOBS === "true") return true;
+  if (process.env.RUN_JOBS === "false") return false;
+
+  const instance = process.env.NODE_APP_INSTANCE;
+  return instance === undefined || instance === "0";
+};
@@ -0,0 +1,191 @@
+import MoodEntry from "../models/MoodEntry.js";
+import LowMoodEvent from "../models/LowMoodEvent.js";
+import {
+  DEFAULT_LOW_MOOD_RULES,
+  LOW_MOOD_COOLDOWN_DAYS,
+} from "../config/lowMoodRules.js";
+import {
+  SUPPORT_RESOURCES,
+  INTERNATIONAL_RESOURCES,
+  TIMEZONE_REGIONS,
+} from "../config/supportResources.js";
+import { scoreDays, findLowRuns } from "./lowPeriods.js";
+import { getUserVocabulary } from "./vocabulary.js";
+import { getUserTimeZone, getTodayKey, addDays } from "./timezone.js";
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const average = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const getLowMoodRules = () => {
+  let overrides = {};
+
+  if (process.env.LOW_MOOD_RULES) {
+    try {
+      overrides = JSON.parse(process.env.LOW_MOOD_RULES);
+    } catch (error) {
+      console.error("Ignoring invalid LOW_MOOD_RULES:", error.message);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_LOW_MOOD_RULES).map(([id, settings]) => [
+      id,
+      { ...settings, ...overrides[id] },
+    ])
+  );
+};
+
+// Each check gets the user's daily scores (oldest first) and returns details
+// when the pattern is present, or null.
+const RULE_CHECKS = {
+  "consecutive-low-days": (days, { today }, rule) => {
+    const runs = findLowRuns(days, rule.threshold);
+    const latest = runs[runs.length - 1];
+
+    // Only a run that reaches the most recent day counts: an old stretch
+    // that has since ended isn't news.
+    if (
+      !latest ||
+      latest[latest.length - 1].date !== days[days.length - 1]?.date
+    ) {
+      return null;
+    }
+    if (
+      latest.length < rule.days ||
+      latest[latest.length - 1].date < addDays(today, -1)
+    ) {
+      return null;
+    }
+
+    return {
+      days: latest.length,
+      start: latest[0].date,
+      end: latest[latest.length - 1].date,
+      averageScore: round1(average(latest.map((day) => day.score))),
+    };
+  },
+
+  "baseline-drop": (days, { today }, rule) => {
+    const recentStart = addDays(today, -(rule.recentDays - 1));
+    const baselineStart = addDays(recentStart, -rule.baselineDays);
+
+    const recent = days.filter((day) => day.date >= recentStart);
+    const baseline = days.filter(
+      (day) => day.date >= baselineStart && day.date < recentStart
+    );
+
+    if (
+      recent.length < rule.minRecentDays ||
+      baseline.length < rule.minBaselineDays
+    ) {
+      return null;
+    }
+
+    const recentScore = average(recent.map((day) => day.score));
+    const baselineScore = average(baseline.map((day) => day.score));
+
+    if (baselineScore - recentScore < rule.drop) return null;
+
+    return {
+      recentScore: round1(recentScore),
+      baselineScore: round1(baselineScore),
+      drop: round1(baselineScore - recentScore),
+      recentDays: recent.length,
+      baselineDays: baseline.length,
+    };
+  },
+};
+
+export const evaluateLowMoodRules = (
+  days,
+  context,
+  rules = getLowMoodRules()
+) =>
+  Object.entries(rules)
+    .filter(([id, rule]) => rule.enabled && RULE_CHECKS[id])
+    .map(([id, rule]) => ({
+      rule: id,
+      details: RULE_CHECKS[id](days, context, rule),
+    }))
+    .filter(({ details }) => details);
+
+export const resolveRegion = (user) => {
+  const region =
+    user.settings?.region || TIMEZONE_REGIONS[getUserTimeZone(user)] || null;
+  return region && SUPPORT_RESOURCES[region] ? region : null;
+};
+
+export const getSupportResources = (region) => ({
+  region,
+  ...(SUPPORT_RESOURCES[region] || INTERNATIONAL_RESOURCES),
+});
+
+export const buildSupportBlock = (user, patterns) => ({
+  message:
+    "It looks like things have been hard lately. You don't have to handle it alone; talking to someone can help.",
+  patterns,
+  ...getSupportResources(resolveRegion(user)),
+  optOut:
+    "You can turn these messages off with settings.lowMoodSupport in your profile.",
+});
+
+const getLookbackDays = (rules) =>
+  Math.max(
+    rules["consecutive-low-days"]?.days || 0,
+    (rules["baseline-drop"]?.recentDays || 0) +
+      (rules["baseline-drop"]?.baselineDays || 0)
+  ) + 1;
+
+// Runs after an entry is created or updated. Returns the `support` block for
+// the response when a rule newly fires, recording one event per rule; rules
+// that fired within the cooldown stay quiet.
+export const checkLowMood = async (user, entry) => {
+  if (user.settings?.lowMoodSupport === false) return null;
+
+  const rules = getLowMoodRules();
+  const today = getTodayKey(getUserTimeZone(user));
+
+  const [entries, { moodsByName }] = await Promise.all([
+    MoodEntry.getEntriesByDateRange(
+      user._id,
+      addDays(today, -getLookbackDays(rules)),
+      today
+    )
+      .select("localDate date mood moodIntensity")
+      .lean(),
+    getUserVocabulary(user._id),
+  ]);
+
+  const matches = evaluateLowMoodRules(scoreDays(entries, moodsByName), {
+    today,
+  });
+  if (matches.length === 0) return null;
+
+  const cooldownStart = new Date(
+    Date.now() - LOW_MOOD_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+  );
+  const region = resolveRegion(user);
+  const fired = [];
+
+  for (const match of matches) {
+    const recent = await LowMoodEvent.exists({
+      user: user._id,
+      rule: match.rule,
+      createdAt: { $gte: cooldownStart },
+    });
+    if (recent) continue;
+
+    await LowMoodEvent.create({
+      user: user._id,
+      rule: match.rule,
+      localDate: today,
+      entry: entry?._id,
+      details: match.details,
+      region,
+    });
+    fired.push(match);
+  }
+
+  return fired.length ? buildSupportBlock(user, fired) : null;
+};
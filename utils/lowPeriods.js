@@ -0,0 +1,83 @@
+// Mood scores and low-period detection. An entry's score is its mood's
+// valence scaled by how strongly it was felt: valence / 5 * intensity, so
+// "sad" (-3) at intensity 8 scores -4.8 and the range is -10 to 10. A day's
+// score is the average of its check-ins; a day is low at or below
+// LOW_MOOD_SCORE (default -3), and runs shorter than LOW_PERIOD_MIN_DAYS
+// (default 3) aren't reported.
+
+import { groupByDay } from "./dailySummary.js";
+import { toDayNumber } from "./timezone.js";
+
+export const getLowMoodScore = () => {
+  const value = parseFloat(process.env.LOW_MOOD_SCORE);
+  return Number.isNaN(value) ? -3 : value;
+};
+
+export const getLowPeriodMinDays = () =>
+  parseInt(process.env.LOW_PERIOD_MIN_DAYS) || 3;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+export const scoreEntry = (entry, moodsByName) =>
+  ((moodsByName.get(entry.mood)?.valence ?? 0) / 5) * entry.moodIntensity;
+
+// Daily scores, oldest day first.
+export const scoreDays = (entries, moodsByName) =>
+  [...groupByDay(entries).entries()]
+    .map(([date, dayEntries]) => ({
+      date,
+      score: round1(
+        dayEntries.reduce(
+          (sum, entry) => sum + scoreEntry(entry, moodsByName),
+          0
+        ) / dayEntries.length
+      ),
+      moods: [...new Set(dayEntries.map((entry) => entry.mood))],
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// Groups consecutive days at or below the threshold. Returns every run,
+// oldest first, regardless of length.
+export const findLowRuns = (days, threshold = getLowMoodScore()) => {
+  const runs = [];
+  let run = [];
+
+  for (const day of days) {
+    const previous = run[run.length - 1];
+    if (previous && toDayNumber(day.date) - toDayNumber(previous.date) !== 1) {
+      runs.push(run);
+      run = [];
+    }
+
+    if (day.score <= threshold) {
+      run.push(day);
+    } else if (run.length) {
+      runs.push(run);
+      run = [];
+    }
+  }
+  if (run.length) runs.push(run);
+
+  return runs;
+};
+
+export const findLowPeriods = (
+  entries,
+  {
+    moodsByName,
+    threshold = getLowMoodScore(),
+    minDays = getLowPeriodMinDays(),
+  }
+) =>
+  findLowRuns(scoreDays(entries, moodsByName), threshold)
+    .filter((run) => run.length >= minDays)
+    .map((run) => ({
+      start: run[0].date,
+      end: run[run.length - 1].date,
+      days: run.length,
+      averageScore: round1(
+        run.reduce((sum, day) => sum + day.score, 0) / run.length
+      ),
+      lowestScore: Math.min(...run.map((day) => day.score)),
+      moods: [...new Set(run.flatMap((day) => day.moods))],
+    }));
@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import path from "path";
+
+// A transport is any object with an async `send({ to, subject, text, html })`.
+// Pick one with MAIL_TRANSPORT (console | file | smtp) or swap it at runtime
+// with setMailTransport, e.g. to capture messages in tests. Outside production
+// it defaults to the console; in production it has to be set, since the
+// console transport would log reset and verification links.
+
+export const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text || ""}`
+    );
+    return { accepted: [message.to] };
+  },
+};
+
+export const createFileTransport = (
+  dir = process.env.MAIL_OUTBOX_DIR || "tmp/mail"
+) => ({
+  name: "file",
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+    const filePath = path.join(dir, fileName);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { accepted: [message.to], path: filePath };
+  },
+});
+
+export const createSmtpTransport = async () => {
+  const { default: nodemailer } = await import("nodemailer");
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+let transport;
+
+const createDefaultTransport = async () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createFileTransport();
+    case "console":
+      return consoleTransport;
+    case undefined:
+    case "":
+      if (process.env.NODE_ENV === "production") {
+        throw new Error("MAIL_TRANSPORT must be set in production");
+      }
+      return consoleTransport;
+    default:
+      throw new Error(
+        `Unknown MAIL_TRANSPORT '${process.env.MAIL_TRANSPORT}': expected console, file or smtp`
+      );
+  }
+};
+
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+export const getMailTransport = async () => {
+  if (!transport) {
+    transport = await createDefaultTransport();
+  }
+  return transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const mailTransport = await getMailTransport();
+
+  return mailTransport.send({
+    from: process.env.MAIL_FROM || "MoodBuddy <no-reply@moodbuddy.app>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export const buildClientUrl = (pathname) => {
+  const base = process.env.CLIENT_URL || "http://localhost:5173";
+  return `${base.replace(/\/$/, "")}${pathname}`;
+};
@@ -0,0 +1,104 @@
+import fs from "fs/promises";
+import path from "path";
+import { sendMail } from "./mailer.js";
+import { pushChannel } from "./pushDelivery.js";
+
+// A notification channel is any object with an async
+// `send(user, { title, body, url })` that resolves to
+// `{ status: "sent" | "skipped", reason? }` or throws. NOTIFICATION_CHANNELS
+// (comma separated, default "console") picks which ones reminders go out on;
+// more can be added at runtime with registerNotificationChannel.
+
+export const consoleChannel = {
+  async send(user, notification) {
+    console.log(
+      `🔔 ${notification.title} → ${user.username}: ${notification.body}`
+    );
+    return { status: "sent" };
+  },
+};
+
+export const createFileChannel = (
+  dir = process.env.NOTIFICATION_OUTBOX_DIR || "tmp/notifications"
+) => ({
+  async send(user, notification) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const filePath = path.join(dir, `${Date.now()}-${user._id}.json`);
+    await fs.writeFile(
+      filePath,
+      JSON.stringify(
+        {
+          user: String(user._id),
+          ...notification,
+          sentAt: new Date().toISOString(),
+        },
+        null,
+        2
+      )
+    );
+    return { status: "sent" };
+  },
+});
+
+export const emailChannel = {
+  async send(user, notification) {
+    if (!user.email) return { status: "skipped", reason: "No email address" };
+
+    await sendMail({
+      to: user.email,
+      subject: notification.title,
+      text: [notification.body, notification.url].filter(Boolean).join("\n\n"),
+    });
+    return { status: "sent" };
+  },
+};
+
+const channels = new Map([
+  ["console", consoleChannel],
+  ["file", createFileChannel()],
+  ["email", emailChannel],
+  ["push", pushChannel],
+]);
+
+export const registerNotificationChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+export const getEnabledChannels = () =>
+  (process.env.NOTIFICATION_CHANNELS || "console")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+// Sends on every requested channel; one failing channel doesn't stop the
+// others. Returns one delivery record per channel.
+export const notify = async (user, notification, channelNames) => {
+  const deliveries = [];
+
+  for (const name of channelNames || getEnabledChannels()) {
+    const channel = channels.get(name);
+
+    if (!channel) {
+      deliveries.push({
+        channel: name,
+        status: "skipped",
+        reason: "Channel not available",
+      });
+      continue;
+    }
+
+    try {
+      const result = await channel.send(user, notification);
+      deliveries.push({ channel: name, ...result });
+    } catch (error) {
+      deliveries.push({
+        channel: name,
+        status: "failed",
+        reason: error.message,
+      });
+    }
+  }
+
+  return deliveries;
+};
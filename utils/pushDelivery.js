@@ -0,0 +1,42 @@
+import PushSubscription from "../models/PushSubscription.js";
+import { sendPushNotification, isSubscriptionGone } from "./webPush.js";
+
+// Pushes one notification to every device the user subscribed. Subscriptions
+// the push service reports as gone (404/410) are deleted; other failures are
+// only recorded so a flaky service doesn't unsubscribe anyone.
+export const sendPushToUser = async (userId, notification) => {
+  const subscriptions = await PushSubscription.find({ user: userId });
+  const result = { sent: 0, failed: 0, removed: 0 };
+
+  for (const subscription of subscriptions) {
+    try {
+      await sendPushNotification(subscription, notification);
+      subscription.lastSuccessAt = new Date();
+      await subscription.save();
+      result.sent += 1;
+    } catch (error) {
+      if (isSubscriptionGone(error)) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+        result.removed += 1;
+      } else {
+        subscription.lastFailureAt = new Date();
+        await subscription.save();
+        result.failed += 1;
+        result.error = error.message;
+      }
+    }
+  }
+
+  return { devices: subscriptions.length, ...result };
+};
+
+// Notification channel (see utils/notifier.js) for Web Push.
+export const pushChannel = {
+  async send(user, notification) {
+    const result = await sendPushToUser(user._id, notification);
+
+    if (result.sent > 0) return { status: "sent" };
+    if (result.failed > 0) throw new Error(result.error);
+    return { status: "skipped", reason: "No push subscriptions" };
+  },
+};
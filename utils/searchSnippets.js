@@ -0,0 +1,197 @@
+// Search over journal text, tags and location, plus highlighted snippets for
+// the results. Those fields are encrypted at rest, so instead of a Mongo text
+// index the entries are decrypted and matched here. Matching follows Mongo's
+// text search: words match by their stem prefix ("sisters" finds "sister"),
+// common words are ignored, "quoted phrases" must appear and -words must not.
+// Text is HTML-escaped before <mark> tags are added, so snippets are safe to
+// render as HTML.
+
+const SNIPPET_RADIUS = 60;
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const stem = (word) => word.replace(/(ing|ed|es|s)$/i, "") || word;
+
+const STOP_WORDS = new Set([
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "but",
+  "by",
+  "for",
+  "in",
+  "is",
+  "it",
+  "me",
+  "my",
+  "of",
+  "on",
+  "or",
+  "so",
+  "the",
+  "to",
+  "was",
+  "we",
+  "with",
+]);
+
+// Same weights the old text index used.
+const FIELD_WEIGHTS = { journalEntry: 5, tags: 3, location: 2 };
+
+// Words to look for: every non-negated word of the query, including the ones
+// inside quoted phrases.
+export const getSearchTerms = (query) => [
+  ...new Set(
+    query
+      .replace(/(^|\s)-("[^"]*"|\S+)/g, " ")
+      .replace(/"/g, " ")
+      .split(/\s+/)
+      .map((word) => word.toLowerCase())
+      .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+      .map(stem)
+  ),
+];
+
+const buildTermRegex = (terms) =>
+  new RegExp(`\\b(?:${terms.map(escapeRegex).join("|")})\\w*`, "gi");
+
+const markMatches = (text, terms) => {
+  const regex = buildTermRegex(terms);
+  let result = "";
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(regex)) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+export const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const match = buildTermRegex(terms).exec(text);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(
+    text.length,
+    match.index + match[0].length + SNIPPET_RADIUS
+  );
+
+  // Don't cut words in half at the edges.
+  const from = start === 0 ? 0 : text.indexOf(" ", start) + 1 || start;
+  const to = end === text.length ? end : text.lastIndexOf(" ", end) || end;
+
+  return `${from > 0 ? "…" : ""}${markMatches(
+    text.slice(from, Math.max(to, match.index + match[0].length)),
+    terms
+  )}${to < text.length ? "…" : ""}`;
+};
+
+export const buildHighlights = (entry, terms) => {
+  const highlights = {};
+
+  const journal = buildSnippet(entry.journalEntry, terms);
+  if (journal) highlights.journalEntry = journal;
+
+  const regex = buildTermRegex(terms);
+  const tags = (entry.tags || []).filter((tag) => {
+    regex.lastIndex = 0;
+    return regex.test(tag);
+  });
+  if (tags.length > 0) {
+    highlights.tags = tags.map((tag) => markMatches(tag, terms));
+  }
+
+  const location = buildSnippet(entry.location, terms);
+  if (location) highlights.location = location;
+
+  return highlights;
+};
+
+export const parseSearchQuery = (query) => {
+  const phrases = [];
+  const excludedPhrases = [];
+  const excludedWords = [];
+
+  const rest = query
+    .replace(/(^|\s)-"([^"]*)"/g, (match, space, phrase) => {
+      excludedPhrases.push(phrase.trim().toLowerCase());
+      return " ";
+    })
+    .replace(/(^|\s)-(\S+)/g, (match, space, word) => {
+      excludedWords.push(stem(word.toLowerCase()));
+      return " ";
+    });
+
+  for (const [, phrase] of rest.matchAll(/"([^"]+)"/g)) {
+    phrases.push(phrase.trim().toLowerCase());
+  }
+
+  return {
+    terms: getSearchTerms(query),
+    phrases: phrases.filter(Boolean),
+    excludedPhrases: excludedPhrases.filter(Boolean),
+    excludedWords,
+  };
+};
+
+const countMatches = (text, terms) => {
+  const counts = new Map();
+  for (const [match] of text.matchAll(buildTermRegex(terms))) {
+    const term = terms.find((candidate) =>
+      match.toLowerCase().startsWith(candidate)
+    );
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+};
+
+// Relevance of a decrypted entry, or 0 when it doesn't match. Each field adds
+// its weight for every query term it contains, and a little more the larger
+// the share of the field's words that match.
+export const scoreSearchMatch = (entry, search) => {
+  if (search.terms.length === 0) return 0;
+
+  const fields = {
+    journalEntry: entry.journalEntry || "",
+    tags: (entry.tags || []).join(" "),
+    location: entry.location || "",
+  };
+  const allText = Object.values(fields).join("\n").toLowerCase();
+
+  if (
+    search.phrases.some((phrase) => !allText.includes(phrase)) ||
+    search.excludedPhrases.some((phrase) => allText.includes(phrase)) ||
+    (search.excludedWords.length > 0 &&
+      buildTermRegex(search.excludedWords).test(allText))
+  ) {
+    return 0;
+  }
+
+  let score = 0;
+  for (const [field, text] of Object.entries(fields)) {
+    if (!text) continue;
+
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+    for (const count of countMatches(text, search.terms).values()) {
+      score += FIELD_WEIGHTS[field] * (1 + count / wordCount);
+    }
+  }
+
+  return score;
+};
@@ -0,0 +1,158 @@
+// Offline, lexicon-based sentiment for journal text. Each clause is scanned
+// word by word: a lexicon word adds its valence, an intensifier scales the
+// next word, and a negator flips (and halves) the next three. The summed
+// valence is squashed into -1..1 the way VADER does it, so a couple of strong
+// words count for more than one mild one without a long entry running away.
+//
+// Comparing that with the mood the user picked gives the "gap": sentiment
+// minus the entry's mood score on the same -1..1 scale (see
+// utils/lowPeriods.js). A positive gap means the writing reads happier than
+// the rating, a negative one sadder.
+
+import {
+  SENTIMENT_VERSION,
+  VALENCE,
+  EMOTIONS,
+  NEGATORS,
+  INTENSIFIERS,
+} from "../config/sentimentLexicon.js";
+import { scoreEntry } from "./lowPeriods.js";
+
+const NORMALIZE_ALPHA = 15;
+const NEGATION_SCOPE = 3;
+const NEGATION_FACTOR = -0.5;
+
+const negators = new Set(NEGATORS);
+const emotionsByWord = new Map();
+for (const [emotion, words] of Object.entries(EMOTIONS)) {
+  for (const word of words) {
+    emotionsByWord.set(word, [...(emotionsByWord.get(word) || []), emotion]);
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const getSentimentMismatchGap = () => {
+  const value = parseFloat(process.env.SENTIMENT_MISMATCH_GAP);
+  return Number.isNaN(value) ? 0.5 : value;
+};
+
+const toWords = (clause) =>
+  (clause.toLowerCase().match(/[\p{L}']+/gu) || []).map((word) =>
+    word.replace(/'/g, "")
+  );
+
+// Own keys only: journal words like "constructor" must not find
+// Object.prototype. Plurals and the like fall back to their singular.
+const lookup = (word) =>
+  Object.hasOwn(VALENCE, word)
+    ? word
+    : word.endsWith("s") && Object.hasOwn(VALENCE, word.slice(0, -1))
+    ? word.slice(0, -1)
+    : null;
+
+// Returns null for empty text.
+export const analyzeSentiment = (text) => {
+  if (!text || !text.trim()) return null;
+
+  let total = 0;
+  const emotionCounts = new Map();
+
+  for (const clause of text.split(/[.!?;:,\n]+/)) {
+    let negatedFor = 0;
+    let multiplier = 1;
+
+    for (const word of toWords(clause)) {
+      if (negators.has(word)) {
+        negatedFor = NEGATION_SCOPE;
+        continue;
+      }
+      if (Object.hasOwn(INTENSIFIERS, word)) {
+        multiplier = INTENSIFIERS[word];
+        continue;
+      }
+
+      const match = lookup(word);
+      if (match) {
+        total +=
+          VALENCE[match] * multiplier * (negatedFor > 0 ? NEGATION_FACTOR : 1);
+
+        // "not happy" shouldn't count as joy.
+        if (negatedFor === 0) {
+          for (const emotion of emotionsByWord.get(match) || []) {
+            emotionCounts.set(emotion, (emotionCounts.get(emotion) || 0) + 1);
+          }
+        }
+      }
+
+      multiplier = 1;
+      if (negatedFor > 0) negatedFor -= 1;
+    }
+  }
+
+  return {
+    score: round2(total / Math.sqrt(total * total + NORMALIZE_ALPHA)),
+    emotions: [...emotionCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([emotion]) => emotion),
+    version: SENTIMENT_VERSION,
+    analyzedAt: new Date(),
+  };
+};
+
+// Null when the entry has no analyzed journal text.
+export const getSentimentGap = (entry, moodsByName) =>
+  typeof entry.sentiment?.score === "number"
+    ? entry.sentiment.score - scoreEntry(entry, moodsByName) / 10
+    : null;
+
+// Summary of how journal sentiment compares with the moods picked, for stats.
+// Entries whose gap is at least SENTIMENT_MISMATCH_GAP (default 0.5) either
+// way count as mismatched; the most recent few are listed.
+export const summarizeSentimentGap = (
+  entries,
+  moodsByName,
+  { threshold = getSentimentMismatchGap(), limit = 5 } = {}
+) => {
+  const analyzed = entries
+    .map((entry) => ({ entry, gap: getSentimentGap(entry, moodsByName) }))
+    .filter(({ gap }) => gap !== null);
+
+  if (analyzed.length === 0) {
+    return {
+      analyzedEntries: 0,
+      averageSentiment: null,
+      averageGap: null,
+      mismatchedEntries: 0,
+      mismatches: [],
+    };
+  }
+
+  const mismatched = analyzed
+    .filter(({ gap }) => Math.abs(gap) >= threshold)
+    .sort(
+      (a, b) =>
+        b.entry.localDate.localeCompare(a.entry.localDate) ||
+        new Date(b.entry.date) - new Date(a.entry.date)
+    );
+
+  return {
+    analyzedEntries: analyzed.length,
+    averageSentiment: round2(
+      analyzed.reduce((sum, { entry }) => sum + entry.sentiment.score, 0) /
+        analyzed.length
+    ),
+    averageGap: round2(
+      analyzed.reduce((sum, { gap }) => sum + gap, 0) / analyzed.length
+    ),
+    mismatchedEntries: mismatched.length,
+    mismatches: mismatched.slice(0, limit).map(({ entry, gap }) => ({
+      id: entry._id,
+      date: entry.localDate,
+      mood: entry.mood,
+      moodIntensity: entry.moodIntensity,
+      sentiment: entry.sentiment.score,
+      gap: round2(gap),
+    })),
+  };
+};
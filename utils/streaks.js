@@ -0,0 +1,78 @@
+// Streaks are derived from the set of calendar days (localDate keys) a user
+// logged on. With freezes enabled, a gap of missed days is bridged as long as
+// the month each missed day falls in still has freezes left; frozen days keep
+// the streak alive but don't add to its length.
+
+import { addDays, toDayNumber } from "./timezone.js";
+
+export const getStreakFreezesPerMonth = () => {
+  const value = parseInt(process.env.STREAK_FREEZES_PER_MONTH);
+  return Number.isNaN(value) ? 2 : Math.max(value, 0);
+};
+
+const listMissedDays = (fromKey, toKey) => {
+  const missed = [];
+  for (let key = addDays(fromKey, 1); key < toKey; key = addDays(key, 1)) {
+    missed.push(key);
+  }
+  return missed;
+};
+
+export const computeStreak = (dayKeys, { today, freezesPerMonth = 0 }) => {
+  const days = [...new Set(dayKeys)].sort();
+  const usedByMonth = new Map();
+  const frozenDates = [];
+
+  // Spends freezes on every missed day or on none of them.
+  const tryFreeze = (missed) => {
+    if (!freezesPerMonth || missed.length === 0) return false;
+
+    const needed = new Map();
+    for (const key of missed) {
+      const month = key.slice(0, 7);
+      needed.set(month, (needed.get(month) || 0) + 1);
+    }
+
+    for (const [month, count] of needed) {
+      if ((usedByMonth.get(month) || 0) + count > freezesPerMonth) return false;
+    }
+
+    for (const [month, count] of needed) {
+      usedByMonth.set(month, (usedByMonth.get(month) || 0) + count);
+    }
+    frozenDates.push(...missed);
+    return true;
+  };
+
+  let run = 0;
+  let longest = 0;
+
+  days.forEach((key, index) => {
+    if (index === 0) {
+      run = 1;
+    } else {
+      const previous = days[index - 1];
+      const gap = toDayNumber(key) - toDayNumber(previous);
+      run = gap === 1 || tryFreeze(listMissedDays(previous, key)) ? run + 1 : 1;
+      if (run === 1) frozenDates.length = 0;
+    }
+    longest = Math.max(longest, run);
+  });
+
+  const lastDay = days[days.length - 1];
+
+  // Today isn't missed until it's over, so a streak ending yesterday is
+  // still current.
+  let current = 0;
+  if (lastDay && today >= lastDay) {
+    const trailing = listMissedDays(lastDay, today);
+    if (trailing.length === 0 || tryFreeze(trailing)) current = run;
+  }
+
+  return {
+    current,
+    longest,
+    lastEntryDay: lastDay || null,
+    frozenDates: current ? frozenDates : [],
+  };
+};
@@ -0,0 +1,156 @@
+// Day arithmetic in a user's IANA timezone using only Intl. Calendar days are
+// passed around as "YYYY-MM-DD" keys, which compare correctly as strings.
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const getUserTimeZone = (user) =>
+  user?.settings?.timezone || DEFAULT_TIMEZONE;
+
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts;
+};
+
+const getOffsetMs = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+export const isDateKey = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const parseDateKey = (dateKey) => dateKey.split("-").map(Number);
+
+export const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(new Date(date), timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+// Entries from before per-user timezones stored their day as UTC midnight.
+// Those are calendar dates already, and converting them would move every one
+// of them to the previous day for users west of UTC.
+export const toLegacyDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const value = new Date(date);
+  return value.getTime() % (24 * 60 * 60 * 1000) === 0
+    ? toDateKey(value, DEFAULT_TIMEZONE)
+    : toDateKey(value, timeZone);
+};
+
+// Wall-clock "HH:MM" in the given zone.
+export const toTimeOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(new Date(date), timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+export const getTodayKey = (timeZone = DEFAULT_TIMEZONE) =>
+  toDateKey(new Date(), timeZone);
+
+export const addDays = (dateKey, days) => {
+  const [year, month, day] = parseDateKey(dateKey);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().split("T")[0];
+};
+
+// Whole days since the epoch, for counting gaps between two keys.
+export const toDayNumber = (dateKey) => {
+  const [year, month, day] = parseDateKey(dateKey);
+  return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+};
+
+export const getDayOfWeek = (dateKey) => {
+  const [year, month, day] = parseDateKey(dateKey);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// The instant local midnight starts on that day. The offset is re-checked at
+// the result so days that begin or end a DST change come out right.
+export const getDayStart = (dateKey, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = parseDateKey(dateKey);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+
+  const firstOffset = getOffsetMs(new Date(utcMidnight), timeZone);
+  let result = utcMidnight - firstOffset;
+
+  const secondOffset = getOffsetMs(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    result = utcMidnight - secondOffset;
+  }
+
+  return new Date(result);
+};
+
+export const getDayRange = (dateKey, timeZone = DEFAULT_TIMEZONE) => ({
+  start: getDayStart(dateKey, timeZone),
+  end: getDayStart(addDays(dateKey, 1), timeZone),
+});
+
+export const getMonthKeys = (year, month) => {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {
+    start: `${year}-${pad(month)}-01`,
+    end: `${year}-${pad(month)}-${pad(lastDay)}`,
+  };
+};
+
+// Accepts a calendar day ("2025-11-22", taken as that day in the user's zone)
+// or a full timestamp. Returns null for anything unparseable.
+export const resolveEntryDate = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value === undefined || value === null || value === "") {
+    const now = new Date();
+    return { date: now, localDate: toDateKey(now, timeZone) };
+  }
+
+  if (isDateKey(value)) {
+    return { date: getDayStart(value, timeZone), localDate: value };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return { date, localDate: toDateKey(date, timeZone) };
+};
@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+export const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+  });
+};
+
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+// directly and only the secret part has to be compared against its hash.
+export const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+export const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret) return null;
+
+  return { sessionId, secret };
+};
+
+export const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const EMAIL_VERIFICATION_PURPOSE = "verify-email";
+
+const getEmailVerificationSecret = () =>
+  process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+// The address is part of the payload so a link stops working once the user
+// changes their email.
+export const signEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE },
+    getEmailVerificationSecret(),
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h" }
+  );
+};
+
+export const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, getEmailVerificationSecret());
+
+  if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+    throw new jwt.JsonWebTokenError("Invalid token purpose");
+  }
+
+  return decoded;
+};
+
+const TWO_FACTOR_PURPOSE = "2fa-challenge";
+
+export const signTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { id: userId, purpose: TWO_FACTOR_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m" }
+  );
+};
+
+export const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== TWO_FACTOR_PURPOSE) {
+    throw new jwt.JsonWebTokenError("Invalid token purpose");
+  }
+
+  return decoded;
+};
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps), which is what every
+// common authenticator app expects.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// Returns the matching time step (so callers can reject replays) or null.
+// One step of drift either way is tolerated for clock skew.
+export const verifyTotp = (secret, code, window = 1) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+  const currentStep = getTimeStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(generateTotp(secret, step));
+
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || "MoodBuddy";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+    issuer
+  )}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
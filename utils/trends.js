@@ -0,0 +1,147 @@
+// Bucketed time series for GET /api/mood/trends. Buckets are keyed by the
+// user's calendar day ("YYYY-MM-DD" of the bucket's first day) so they line
+// up with localDate, and every bucket in range is returned, empty or not.
+
+import { addDays, getDayOfWeek } from "./timezone.js";
+import { getSentimentGap } from "./sentiment.js";
+
+export const TREND_INTERVALS = ["day", "week", "month"];
+
+// Trailing buckets averaged into `movingAverage` unless the caller overrides.
+export const DEFAULT_MOVING_WINDOW = { day: 7, week: 4, month: 3 };
+
+// How far back the series starts when no startDate is given.
+export const DEFAULT_TREND_SPAN = { day: 30, week: 12, month: 12 };
+
+export const MAX_TREND_BUCKETS = 400;
+
+const WEEK_START_DAYS = { sunday: 0, monday: 1 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const addMonths = (dateKey, months) => {
+  const [year, month] = dateKey.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return date.toISOString().split("T")[0];
+};
+
+export const getBucketStart = (dateKey, interval, weekStartsOn = "sunday") => {
+  if (interval === "month") return `${dateKey.slice(0, 7)}-01`;
+  if (interval === "week") {
+    const offset =
+      (getDayOfWeek(dateKey) - (WEEK_START_DAYS[weekStartsOn] ?? 0) + 7) % 7;
+    return addDays(dateKey, -offset);
+  }
+  return dateKey;
+};
+
+export const getNextBucketStart = (bucketStart, interval) => {
+  if (interval === "month") return addMonths(bucketStart, 1);
+  return addDays(bucketStart, interval === "week" ? 7 : 1);
+};
+
+// Default start: DEFAULT_TREND_SPAN buckets back from (and including) the
+// bucket that holds endKey.
+export const getDefaultTrendStart = (endKey, interval, weekStartsOn) => {
+  const span = DEFAULT_TREND_SPAN[interval] - 1;
+  const lastBucket = getBucketStart(endKey, interval, weekStartsOn);
+
+  if (interval === "month") return addMonths(lastBucket, -span);
+  return addDays(lastBucket, -span * (interval === "week" ? 7 : 1));
+};
+
+export const listBuckets = (startKey, endKey, interval, weekStartsOn) => {
+  const buckets = [];
+  let start = getBucketStart(startKey, interval, weekStartsOn);
+
+  while (start <= endKey) {
+    const next = getNextBucketStart(start, interval);
+    buckets.push({ start, end: addDays(next, -1) });
+    start = next;
+  }
+
+  return buckets;
+};
+
+export const countBuckets = (startKey, endKey, interval, weekStartsOn) => {
+  let count = 0;
+  let start = getBucketStart(startKey, interval, weekStartsOn);
+
+  while (start <= endKey && count <= MAX_TREND_BUCKETS) {
+    start = getNextBucketStart(start, interval);
+    count += 1;
+  }
+
+  return count;
+};
+
+export const buildTrendSeries = (
+  entries,
+  { startKey, endKey, interval, weekStartsOn, window, moodsByName = new Map() }
+) => {
+  const movingWindow = window || DEFAULT_MOVING_WINDOW[interval];
+  const buckets = listBuckets(startKey, endKey, interval, weekStartsOn).map(
+    (bucket) => ({
+      ...bucket,
+      count: 0,
+      total: 0,
+      moods: new Map(),
+      analyzed: 0,
+      sentimentTotal: 0,
+      gapTotal: 0,
+    })
+  );
+  const bucketsByStart = new Map(
+    buckets.map((bucket) => [bucket.start, bucket])
+  );
+
+  for (const entry of entries) {
+    const bucket = bucketsByStart.get(
+      getBucketStart(entry.localDate, interval, weekStartsOn)
+    );
+    if (!bucket) continue;
+
+    bucket.count += 1;
+    bucket.total += entry.moodIntensity;
+    bucket.moods.set(entry.mood, (bucket.moods.get(entry.mood) || 0) + 1);
+
+    const gap = getSentimentGap(entry, moodsByName);
+    if (gap !== null) {
+      bucket.analyzed += 1;
+      bucket.sentimentTotal += entry.sentiment.score;
+      bucket.gapTotal += gap;
+    }
+  }
+
+  // The moving average weights by entries, so a sparse bucket in the window
+  // counts for less than a busy one.
+  return buckets.map((bucket, index) => {
+    const trailing = buckets.slice(
+      Math.max(0, index - movingWindow + 1),
+      index + 1
+    );
+    const windowCount = trailing.reduce((sum, b) => sum + b.count, 0);
+    const windowTotal = trailing.reduce((sum, b) => sum + b.total, 0);
+
+    return {
+      start: bucket.start,
+      end: bucket.end,
+      count: bucket.count,
+      averageIntensity: bucket.count
+        ? round1(bucket.total / bucket.count)
+        : null,
+      movingAverage: windowCount ? round1(windowTotal / windowCount) : null,
+      // Only entries with journal text have a sentiment.
+      averageSentiment: bucket.analyzed
+        ? round2(bucket.sentimentTotal / bucket.analyzed)
+        : null,
+      sentimentGap: bucket.analyzed
+        ? round2(bucket.gapTotal / bucket.analyzed)
+        : null,
+      moodDistribution: [...bucket.moods.entries()]
+        .map(([mood, count]) => ({ mood, count }))
+        .sort((a, b) => b.count - a.count || a.mood.localeCompare(b.mood)),
+    };
+  });
+};
@@ -0,0 +1,56 @@
+import CustomMood from "../models/CustomMood.js";
+import CustomActivity from "../models/CustomActivity.js";
+import { DEFAULT_MOODS, DEFAULT_ACTIVITIES } from "../config/vocabulary.js";
+
+// A user's vocabulary is the built-in defaults plus their custom moods and
+// activities. `moodNames`/`activityNames` are what validation checks against,
+// `moodsByName`/`activitiesByName` let stats attach valence, colour, emoji
+// and category.
+export const getUserVocabulary = async (userId) => {
+  const [customMoods, customActivities] = await Promise.all([
+    CustomMood.find({ user: userId }).sort({ name: 1 }).lean(),
+    CustomActivity.find({ user: userId }).sort({ name: 1 }).lean(),
+  ]);
+
+  const moods = [
+    ...DEFAULT_MOODS.map((mood) => ({ ...mood, builtIn: true })),
+    ...customMoods.map(({ _id, name, valence, color, emoji }) => ({
+      id: _id,
+      name,
+      valence,
+      color,
+      emoji,
+      builtIn: false,
+    })),
+  ];
+
+  const activities = [
+    ...DEFAULT_ACTIVITIES.map((activity) => ({ ...activity, builtIn: true })),
+    ...customActivities.map(({ _id, name, category }) => ({
+      id: _id,
+      name,
+      category,
+      builtIn: false,
+    })),
+  ];
+
+  return {
+    moods,
+    activities,
+    moodNames: moods.map((mood) => mood.name),
+    activityNames: activities.map((activity) => activity.name),
+    moodsByName: new Map(moods.map((mood) => [mood.name, mood])),
+    activitiesByName: new Map(
+      activities.map((activity) => [activity.name, activity])
+    ),
+  };
+};
+
+// Loads the vocabulary once per request, for validators and controllers that
+// both need it.
+export const getRequestVocabulary = async (req) => {
+  if (!req.vocabulary) {
+    req.vocabulary = await getUserVocabulary(req.user.id);
+  }
+  return req.vocabulary;
+};
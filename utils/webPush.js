@@ -0,0 +1,315 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+
+// Web Push delivery with node's crypto only: payload encryption per RFC 8291
+// (aes128gcm content coding, RFC 8188) and VAPID authentication per RFC 8292.
+// Keys are base64url; the public key is an uncompressed P-256 point (65
+// bytes) and the private key the raw 32-byte scalar.
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString("base64url");
+const fromBase64Url = (value) => Buffer.from(value, "base64url");
+
+const RECORD_SIZE = 4096;
+const VAPID_TOKEN_SECONDS = 12 * 60 * 60;
+
+const getPushTimeoutMilliseconds = () =>
+  (parseInt(process.env.PUSH_TIMEOUT_SECONDS) || 10) * 1000;
+
+const pushError = (message, pushStatus) => {
+  const error = new Error(message);
+  error.pushStatus = pushStatus;
+  return error;
+};
+
+// The push service says the subscription no longer exists, or its endpoint
+// is one we refuse to call.
+export const isSubscriptionGone = (error) =>
+  error.pushStatus === 404 ||
+  error.pushStatus === 410 ||
+  error.endpointBlocked === true;
+
+// The stand-in push service in controllers/pushController.js, which also
+// allows http and loopback endpoints. It has to be switched on explicitly
+// outside tests, since PM2's default env is development.
+export const isPushMockEnabled = () =>
+  process.env.PUSH_MOCK_ENABLED === "true" || process.env.NODE_ENV === "test";
+
+// Endpoints come from clients and the server POSTs to them, so they have to
+// be https URLs on public hosts: no IP literals, no intranet names, and no
+// names resolving to loopback, private or link-local addresses.
+const privateAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  privateAddresses.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateAddresses.addSubnet(address, prefix, "ipv6");
+}
+
+const LOCAL_HOST_SUFFIXES = [
+  ".localhost",
+  ".local",
+  ".localdomain",
+  ".internal",
+  ".lan",
+  ".home.arpa",
+];
+
+const isPrivateAddress = (address) =>
+  privateAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const isLoopbackHost = (hostname) =>
+  hostname === "localhost" ||
+  hostname.endsWith(".localhost") ||
+  hostname === "::1" ||
+  (net.isIPv4(hostname) && hostname.startsWith("127."));
+
+const parseEndpoint = (endpoint) => {
+  try {
+    const url = new URL(endpoint);
+    // "localhost." is still localhost.
+    const hostname = url.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "");
+    return { url, hostname };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns why an endpoint can't be used, or null if it can. Only looks at the
+// URL itself; assertPushEndpointAllowed also checks where the host resolves.
+export const getPushEndpointProblem = (
+  endpoint,
+  { allowLocal = isPushMockEnabled() } = {}
+) => {
+  const parsed = parseEndpoint(endpoint);
+  if (!parsed) return "Endpoint must be a valid URL";
+
+  const { url, hostname } = parsed;
+  const protocols = allowLocal ? ["https:", "http:"] : ["https:"];
+
+  if (!protocols.includes(url.protocol)) return "Endpoint must use https";
+  if (url.username || url.password) {
+    return "Endpoint cannot contain credentials";
+  }
+  if (allowLocal && isLoopbackHost(hostname)) return null;
+
+  if (net.isIP(hostname)) {
+    return "Endpoint must use a host name, not an IP address";
+  }
+  if (
+    !hostname.includes(".") ||
+    LOCAL_HOST_SUFFIXES.some((suffix) => hostname.endsWith(suffix))
+  ) {
+    return "Endpoint must be on a public host";
+  }
+
+  return null;
+};
+
+export const assertPushEndpointAllowed = async (
+  endpoint,
+  { allowLocal = isPushMockEnabled() } = {}
+) => {
+  const problem = getPushEndpointProblem(endpoint, { allowLocal });
+  const blocked = (message) => {
+    const error = pushError(message);
+    error.endpointBlocked = true;
+    return error;
+  };
+
+  if (problem) throw blocked(problem);
+
+  const { hostname } = parseEndpoint(endpoint);
+  if (allowLocal && isLoopbackHost(hostname)) return;
+
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw blocked("Endpoint resolves to a private address");
+  }
+};
+
+export const generateVapidKeys = () => {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey()),
+  };
+};
+
+export const getVapidConfig = () => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+
+  return {
+    publicKey: VAPID_PUBLIC_KEY,
+    privateKey: VAPID_PRIVATE_KEY,
+    subject: VAPID_SUBJECT || "mailto:support@moodbuddy.app",
+  };
+};
+
+const toVapidSigningKey = (publicKey, privateKey) => {
+  const point = fromBase64Url(publicKey);
+
+  return crypto.createPrivateKey({
+    format: "jwk",
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: toBase64Url(point.subarray(1, 33)),
+      y: toBase64Url(point.subarray(33, 65)),
+      d: privateKey,
+    },
+  });
+};
+
+export const buildVapidAuthorization = (endpoint, vapid) => {
+  const header = toBase64Url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = toBase64Url(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_SECONDS,
+      sub: vapid.subject,
+    })
+  );
+
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${claims}`), {
+    key: toVapidSigningKey(vapid.publicKey, vapid.privateKey),
+    dsaEncoding: "ieee-p1363",
+  });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${
+    vapid.publicKey
+  }`;
+};
+
+const hkdf = (ikm, salt, info, length) =>
+  Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+
+// Encrypts one payload for one subscription. The result is a complete
+// aes128gcm body: salt, record size and our ephemeral public key as the
+// header, followed by a single record.
+// `salt` and `serverPrivateKey` are only passed to reproduce known output,
+// e.g. the example in RFC 8291 section 5.
+export const encryptPayload = (
+  payload,
+  { p256dh, auth },
+  { salt = crypto.randomBytes(16), serverPrivateKey } = {}
+) => {
+  const userAgentPublicKey = fromBase64Url(p256dh);
+  const authSecret = fromBase64Url(auth);
+
+  const ecdh = crypto.createECDH("prime256v1");
+  if (serverPrivateKey) {
+    ecdh.setPrivateKey(fromBase64Url(serverPrivateKey));
+  } else {
+    ecdh.generateKeys();
+  }
+  const serverPublicKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+
+  const keyInfo = Buffer.concat([
+    Buffer.from("WebPush: info\0"),
+    userAgentPublicKey,
+    serverPublicKey,
+  ]);
+  const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+
+  const contentKey = hkdf(
+    ikm,
+    salt,
+    Buffer.from("Content-Encoding: aes128gcm\0"),
+    16
+  );
+  const nonce = hkdf(ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  // 0x02 marks the last (and only) record.
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE) {
+    throw pushError("Push payload is too large");
+  }
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(RECORD_SIZE);
+
+  return Buffer.concat([
+    salt,
+    recordSize,
+    Buffer.from([serverPublicKey.length]),
+    serverPublicKey,
+    ciphertext,
+  ]);
+};
+
+export const sendPushNotification = async (
+  subscription,
+  payload,
+  {
+    ttl = 24 * 60 * 60,
+    urgency = "normal",
+    vapid = getVapidConfig(),
+    allowLocal = isPushMockEnabled(),
+  } = {}
+) => {
+  if (!vapid) {
+    throw pushError("Web Push is not configured (missing VAPID keys)");
+  }
+
+  // Checked again here: subscriptions may predate the rules, and DNS may
+  // have changed since the endpoint was accepted.
+  await assertPushEndpointAllowed(subscription.endpoint, { allowLocal });
+
+  const body = encryptPayload(
+    typeof payload === "string" ? payload : JSON.stringify(payload),
+    subscription.keys
+  );
+
+  const response = await fetch(subscription.endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: buildVapidAuthorization(subscription.endpoint, vapid),
+      "Content-Encoding": "aes128gcm",
+      "Content-Type": "application/octet-stream",
+      TTL: String(ttl),
+      Urgency: urgency,
+    },
+    body,
+    redirect: "error",
+    // One unresponsive endpoint must not hold up everyone else's reminders.
+    signal: AbortSignal.timeout(getPushTimeoutMilliseconds()),
+  });
+
+  if (!response.ok) {
+    throw pushError(
+      `Push service responded with ${response.status}`,
+      response.status
+    );
+  }
+
+  return { statusCode: response.status };
+};